@@ -306,6 +306,54 @@ function siftDown(heap, i, compare, length) {
   }
 }
 
+function siftUp(heap, i, compare) {
+  while (i > 0) {
+    // (i - 1) >>> 1 is equivalent to Math.floor((i - 1) / 2)
+    // eslint-disable-next-line no-bitwise
+    const parent = (i - 1) >>> 1
+    if (compare(heap[i], heap[parent]) <= 0) {
+      break
+    }
+    const swap = heap[parent]
+    heap[parent] = heap[i]
+    heap[i] = swap
+    i = parent
+  }
+}
+
+/**
+ * Adds an element to an array that is a binary max heap, keeping it a heap.
+ * The "largest" element according to compare is always at index 0.
+ * @template T
+ * @param {Array<T>} heap An empty array or an array previously modified only by heapPush() and heapPop()
+ * @param {T} element
+ * @param {MyUtil.Comparator<T>=} compare Default is ascending sort, so that the greatest element is at index 0.
+ * @returns {number} The new length of the heap
+ */
+export function heapPush(heap, element, compare = ascending()) {
+  heap.push(element)
+  siftUp(heap, heap.length - 1, compare)
+  return heap.length
+}
+
+/**
+ * Removes and returns the "largest" element according to compare from an array that is a binary max heap, keeping it a heap.
+ * @template T
+ * @param {Array<T>} heap An empty array or an array previously modified only by heapPush() and heapPop()
+ * @param {MyUtil.Comparator<T>=} compare Must be the same comparator given to heapPush(). Default is ascending sort.
+ * @returns {T|undefined} undefined if the heap is empty
+ */
+export function heapPop(heap, compare = ascending()) {
+  if (heap.length <= 1) {
+    return heap.pop()
+  }
+  const top = heap[0]
+  // @ts-ignore heap is not empty
+  heap[0] = heap.pop()
+  siftDown(heap, 0, compare, heap.length)
+  return top
+}
+
 function maxHeapify(heap, compare, length) {
   // (heap.length >>> 1) is equivalent to Math.floor(heap.length / 2)
   // eslint-disable-next-line no-bitwise
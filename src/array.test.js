@@ -10,6 +10,8 @@ const {
   naturalDesc,
   multilevel,
   sortN,
+  heapPush,
+  heapPop,
   toBottom,
   toTop,
 } = await import("./array.js")
@@ -802,6 +804,60 @@ describe("sortN mutate", () => {
   })
 })
 
+describe("heapPush/heapPop", () => {
+  it("pops elements from greatest to least with the default comparator", () => {
+    const heap = []
+    for (const element of [5, 1, 4, 2, 3, 5]) {
+      heapPush(heap, element)
+    }
+    const popped = []
+    while (heap.length) {
+      popped.push(heapPop(heap))
+    }
+    expect(popped).toEqual([5, 5, 4, 3, 2, 1])
+  })
+
+  it("returns the new length from heapPush", () => {
+    const heap = []
+    expect(heapPush(heap, 1)).toBe(1)
+    expect(heapPush(heap, 2)).toBe(2)
+  })
+
+  it("returns undefined when popping an empty heap", () => {
+    expect(heapPop([])).toBeUndefined()
+  })
+
+  it("uses compare to determine the top element", () => {
+    const heap = []
+    const compare = descending("v")
+    heapPush(heap, { v: 3 }, compare)
+    heapPush(heap, { v: 1 }, compare)
+    heapPush(heap, { v: 2 }, compare)
+    expect(heapPop(heap, compare)).toEqual({ v: 1 })
+    heapPush(heap, { v: 0 }, compare)
+    expect(heapPop(heap, compare)).toEqual({ v: 0 })
+    expect(heapPop(heap, compare)).toEqual({ v: 2 })
+    expect(heapPop(heap, compare)).toEqual({ v: 3 })
+    expect(heap).toEqual([])
+  })
+
+  it("keeps the heap valid across many interleaved operations", () => {
+    const heap = []
+    const reference = []
+    let seed = 7
+    for (let i = 0; i < 200; i++) {
+      seed = (seed * 31 + 11) % 101
+      if (seed % 3 === 0 && reference.length) {
+        reference.sort((a, b) => b - a)
+        expect(heapPop(heap)).toBe(reference.shift())
+      } else {
+        heapPush(heap, seed)
+        reference.push(seed)
+      }
+    }
+  })
+})
+
 describe("toBottom", () => {
   it("sorts matching primitives to the bottom, preserving other order", () => {
     const arr = [1, 2, 3, 2, 4]
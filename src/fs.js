@@ -1,48 +1,307 @@
-import { readFile, stat, writeFile } from "node:fs/promises"
+import { once } from "node:events"
+import { createReadStream, createWriteStream } from "node:fs"
+import {
+  copyFile,
+  mkdtemp,
+  open,
+  readFile,
+  rename,
+  rm,
+  stat,
+  unlink,
+  writeFile,
+} from "node:fs/promises"
 import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { PassThrough, Readable } from "node:stream"
+import { pipeline } from "node:stream/promises"
 import { promisify } from "node:util"
-import { gunzip as _gunzip, gzip as _gzip } from "node:zlib"
+import * as zlib from "node:zlib"
+import { now } from "./time.js"
 
-const gunzip = promisify(_gunzip)
-const gzip = promisify(_gzip)
+const gunzip = promisify(zlib.gunzip)
+const gzip = promisify(zlib.gzip)
+const brotliCompress = promisify(zlib.brotliCompress)
+const brotliDecompress = promisify(zlib.brotliDecompress)
+// zstd was added to zlib in later versions of Node
+const zstdCompress = "zstdCompress" in zlib ? promisify(zlib.zstdCompress) : undefined
+const zstdDecompress = "zstdDecompress" in zlib ? promisify(zlib.zstdDecompress) : undefined
 
 // the integration tests for this file are the s3-fs integration tests in lambda-integrations
 // changes to this file should be tested against lambda-integrations' integration tests
 
+// compression formats by file extension
+// "compress" is called with the "level" option of writeJSON(), which may be undefined
+const compressions = {
+  ".gz": {
+    name: "gzip",
+    compress: (data, level) => (level === undefined ? gzip(data) : gzip(data, { level })),
+    decompress: (buffer) => gunzip(buffer),
+  },
+  ".br": {
+    name: "brotli",
+    compress: (data, level) => {
+      const params = level === undefined ? {} : { [zlib.constants.BROTLI_PARAM_QUALITY]: level }
+      return brotliCompress(data, { params })
+    },
+    decompress: (buffer) => brotliDecompress(buffer),
+  },
+  ".zst": {
+    name: "zstd",
+    supported: Boolean(zstdCompress && zstdDecompress),
+    compress: (data, level) => {
+      const params = level === undefined ? {} : { [zlib.constants.ZSTD_c_compressionLevel]: level }
+      // @ts-ignore Only called when zstd is supported
+      return zstdCompress(data, { params })
+    },
+    // @ts-ignore Only called when zstd is supported
+    decompress: (buffer) => zstdDecompress(buffer),
+  },
+}
+
+// returns the compression format for path based on its extension, or undefined if it is not compressed
+function getCompression(path) {
+  const extension = Object.keys(compressions).find((key) => path.endsWith(key))
+  if (extension === undefined) {
+    return undefined
+  }
+  const compression = compressions[extension]
+  if (compression.supported === false) {
+    throw new Error(
+      `${compression.name} compression for ${extension} files is not supported by this version of Node`
+    )
+  }
+  return compression
+}
+
+// parses JSON from the contents of a file, decompressing based on the extension of path
+async function parseJSONFile(buffer, path) {
+  const compression = getCompression(path)
+  if (compression) {
+    buffer = await compression.decompress(buffer)
+  }
+  return JSON.parse(buffer.toString())
+}
+
+// reads and parses JSON from filePath, decompressing based on the extension of path
+// filePath differs from path when reading a backup
+async function readJSONFile(filePath, path) {
+  return parseJSONFile(await readFile(filePath), path)
+}
+
 /**
- * Get JSON from a path. If path ends with .gz, will automatically decompress data.
+ * Get JSON from a path. If path ends with .gz, .br, or .zst, will automatically decompress data with gzip, brotli, or zstd.
+ * Throws if path ends with .zst and the running version of Node does not support zstd.
  * @param {string} path
+ * @param {Object} $1
+ * @param {boolean=} $1.fallbackToBackup If true and path cannot be read, decompressed, or parsed,
+ *  reads the backup kept by writeJSON()'s "backup" option instead. If that also fails, throws the original error.
  * @returns {Promise<Object|Array>}
  */
-export async function readJSON(path) {
-  let buffer = await readFile(path)
-  if (path.endsWith(".gz")) {
-    buffer = await gunzip(buffer)
+export async function readJSON(path, { fallbackToBackup = false } = {}) {
+  try {
+    return await readJSONFile(path, path)
+  } catch (error) {
+    if (!fallbackToBackup) {
+      throw error
+    }
+    try {
+      return await readJSONFile(`${path}.bak`, path)
+    } catch {
+      throw error
+    }
   }
-  return JSON.parse(buffer.toString())
+}
+
+// distinguishes temporary files written by this process
+let tempFileCount = 0
+
+// writes data to a sibling temporary file, flushes it to disk, and renames it over path
+// so that readers see either the old or the new contents, never a partial write
+async function writeFileAtomic(path, data) {
+  const tempPath = `${path}.${process.pid}-${tempFileCount++}.tmp`
+  try {
+    const handle = await open(tempPath, "w")
+    try {
+      await handle.writeFile(data)
+      await handle.sync()
+    } finally {
+      await handle.close()
+    }
+    await rename(tempPath, path)
+  } catch (error) {
+    await unlink(tempPath).catch(() => {})
+    throw error
+  }
+}
+
+// copies path to its backup for writeJSON()'s "backup" option
+// only a file that decompresses and parses is copied, so a corrupt file never replaces the last good backup
+async function backUpJSON(path) {
+  let buffer
+  try {
+    buffer = await readFile(path)
+  } catch (error) {
+    // nothing to back up the first time
+    // @ts-ignore Warning about error.code
+    if (error.code === "ENOENT") {
+      return
+    }
+    throw error
+  }
+  try {
+    await parseJSONFile(buffer, path)
+  } catch {
+    return
+  }
+  await copyFile(path, `${path}.bak`)
 }
 
 /**
- * Write JSON to a path. If path ends with .gz, will automatically compress data.
+ * Write JSON to a path. If path ends with .gz, .br, or .zst, will automatically compress data with gzip, brotli, or zstd.
+ * Throws if path ends with .zst and the running version of Node does not support zstd.
  * @param {string} path
  * @param {Object|Array} object
  * @param {Object} $1
  * @param {number=} $1.indent Indent used to format JSON object. Default 2. If 0, does not indent object.
+ * @param {number=} $1.level Compression level: 0-9 for gzip, quality 0-11 for brotli, or level 1-22 for zstd.
+ *  Default is each format's default.
+ * @param {boolean=} $1.atomic If true, writes to a temporary file next to path, flushes it to disk, and renames it over path,
+ *  so that a crash or a concurrent reader never sees a partially written file. Default is false.
+ * @param {boolean=} $1.backup If true, copies the existing file, if any, to `${path}.bak` before writing.
+ *  If the existing file cannot be decompressed or parsed, keeps the previous backup instead.
+ *  See readJSON()'s "fallbackToBackup" option. Default is false.
  */
-export async function writeJSON(path, object, { indent = 2 } = {}) {
+export async function writeJSON(
+  path,
+  object,
+  { indent = 2, level = undefined, atomic = false, backup = false } = {}
+) {
+  const compression = getCompression(path)
   let data = JSON.stringify(object, undefined, indent)
+  if (compression) {
+    data = await compression.compress(data, level)
+  }
+  if (backup) {
+    await backUpJSON(path)
+  }
+  if (atomic) {
+    await writeFileAtomic(path, data)
+  } else {
+    await writeFile(path, data)
+  }
+}
+
+// parses one line of NDJSON, noting where it came from if invalid
+function parseLine(line, lineNumber, path) {
+  try {
+    return JSON.parse(line)
+  } catch (error) {
+    throw new Error(`invalid JSON on line ${lineNumber} of ${path}`, { cause: error })
+  }
+}
+
+/**
+ * Reads newline-delimited JSON (NDJSON or JSON Lines) from a path one record at a time, without reading the whole file into memory.
+ * If path ends with .gz, will automatically decompress data. Blank lines are skipped.
+ * If the consumer stops early (i.e. with `break`), the file is closed.
+ * @param {string} path
+ * @returns {AsyncGenerator<any>} Each parsed record. Throws an Error with the line number if a line is not valid JSON.
+ */
+export async function* readNDJSON(path) {
+  const file = createReadStream(path)
+  /** @type {Readable} */
+  let input = file
   if (path.endsWith(".gz")) {
-    // @ts-ignore "data" can be Buffer or string
-    data = await gzip(data)
+    input = file.pipe(zlib.createGunzip())
+    // pipe() does not forward errors
+    file.on("error", (error) => input.destroy(error))
+  }
+  input.setEncoding("utf8")
+  let buffered = ""
+  let lineNumber = 0
+  try {
+    for await (const chunk of input) {
+      const lines = (buffered + chunk).split("\n")
+      buffered = lines.pop() ?? ""
+      for (const line of lines) {
+        lineNumber++
+        if (line.trim()) {
+          yield parseLine(line, lineNumber, path)
+        }
+      }
+    }
+    if (buffered.trim()) {
+      yield parseLine(buffered, lineNumber + 1, path)
+    }
+  } finally {
+    file.destroy()
+  }
+}
+
+// converts a record to an NDJSON line
+// JSON.stringify() returns undefined instead of throwing for undefined, functions and symbols,
+//  which would be written as a line that readNDJSON() cannot parse
+function toLine(record) {
+  const json = JSON.stringify(record)
+  if (json === undefined) {
+    throw new TypeError(`cannot serialize ${typeof record} as JSON`)
+  }
+  return `${json}\n`
+}
+
+// converts records to NDJSON lines
+async function* toLines(records) {
+  for await (const record of records) {
+    yield toLine(record)
+  }
+}
+
+/**
+ * Write records as newline-delimited JSON (NDJSON or JSON Lines) to a path, one record per line.
+ * Records are pulled from the iterable only as fast as they can be written, so they do not need to fit in memory.
+ * If path ends with .gz, will automatically compress data. Overwrites the file if it exists; see appendNDJSON() to add to it.
+ * @param {string} path
+ * @param {Iterable<any>|AsyncIterable<any>} records
+ *  Throws a TypeError if a record cannot be serialized as JSON (i.e. undefined, a function or a symbol).
+ */
+export async function writeNDJSON(path, records) {
+  const streams = path.endsWith(".gz") ? [zlib.createGzip()] : []
+  await pipeline(Readable.from(toLines(records)), ...streams, createWriteStream(path))
+}
+
+/**
+ * Opens a path for appending newline-delimited JSON (NDJSON or JSON Lines) records one at a time.
+ * If path ends with .gz, will automatically compress data. Each writer adds a separate gzip member,
+ *  which readNDJSON() and other gzip readers decompress as one continuous stream.
+ * @param {string} path Created if it does not exist
+ * @returns {{write: (record: any) => Promise<void>, close: () => Promise<void>}}
+ *  "write" adds a record and waits if the file is not keeping up. "close" must be awaited when done to flush all records.
+ *  Both reject if writing to the file fails. "write" rejects with a TypeError if the record cannot be serialized as JSON.
+ */
+export function appendNDJSON(path) {
+  const input = path.endsWith(".gz") ? zlib.createGzip() : new PassThrough()
+  const done = pipeline(input, createWriteStream(path, { flags: "a" }))
+  // surfaced by write() and close()
+  done.catch(() => {})
+  return {
+    write: async (record) => {
+      if (!input.write(toLine(record))) {
+        await Promise.race([once(input, "drain"), done])
+      }
+    },
+    close: async () => {
+      input.end()
+      await done
+    },
   }
-  await writeFile(path, data)
 }
 
 /**
  * Checks if the path exists using stat(). Returns stat() result if so.
  * @param {string} path
  * @param {Object} $1
- * @param {number=} $1.maxAge Max age to consider in milliseconds.
+ * @param {number=} $1.maxAge Max age to consider in milliseconds, as measured by now() from time.js.
  * @param {boolean=} $1.throws Whether the function should throw or not if not found
  * @returns {Promise<Object|false>}
  */
@@ -50,7 +309,7 @@ export async function pathExists(path, { maxAge = undefined, throws = false } =
   try {
     const stats = await stat(path)
     if (typeof maxAge === "number") {
-      const age = Date.now() - stats.mtime.getTime()
+      const age = now().getTime() - stats.mtime.getTime()
       if (age <= maxAge) {
         return stats
       }
@@ -67,11 +326,103 @@ export async function pathExists(path, { maxAge = undefined, throws = false } =
   return false
 }
 
+// path to the promise of producing and writing its value, so concurrent calls to cachedJSON() share one
+const cachedJSONInFlight = new Map()
+
+// produces and writes the value for cachedJSON(), sharing the work with any call already doing so for path
+function refreshCachedJSON(path, producer, writeOptions) {
+  let promise = cachedJSONInFlight.get(path)
+  if (!promise) {
+    promise = (async () => {
+      const value = await producer()
+      await writeJSON(path, value, writeOptions)
+      return value
+    })().finally(() => cachedJSONInFlight.delete(path))
+    cachedJSONInFlight.set(path, promise)
+  }
+  return promise
+}
+
 /**
- * Make a path to a temporary directory.
- * @returns {string}
+ * Gets JSON from a path if it was written within "maxAge", otherwise calls producer and writes its result to path.
+ * Concurrent calls for the same path share one call of producer. Writes are atomic so readers never see a partial file.
+ * If the file cannot be read or parsed, producer is called as if the file were missing.
+ * Compression is chosen by the extension of path as in readJSON() and writeJSON().
+ * @template R
+ * @param {string} path
+ * @param {Object} $1
+ * @param {number=} $1.maxAge Milliseconds since the file was modified, as measured by now() from time.js,
+ *  for it to be used without calling producer. Default is Infinity.
+ * @param {boolean=} $1.force If true, calls producer even if the file is fresh.
+ * @param {boolean=} $1.staleWhileRevalidate If true and the file is older than "maxAge", returns it anyway
+ *  and calls producer in the background to refresh it. Errors from the background refresh are ignored, so the next call tries again.
+ * @param {number=} $1.indent Passed to writeJSON().
+ * @param {number=} $1.level Passed to writeJSON().
+ * @param {() => R|Promise<R>} producer Its result must be JSON-serializable.
+ * @returns {Promise<R>} The JSON from path, or the result of producer if it was called
  */
-export function makeTempDirectory() {
-  const path = tmpdir()
-  return path
+export async function cachedJSON(
+  path,
+  {
+    maxAge = Infinity,
+    force = false,
+    staleWhileRevalidate = false,
+    indent = undefined,
+    level = undefined,
+  },
+  producer
+) {
+  const writeOptions = { indent, level, atomic: true }
+  if (!force) {
+    const stats = await pathExists(path)
+    if (stats) {
+      const fresh = now().getTime() - stats.mtime.getTime() <= maxAge
+      if (fresh || staleWhileRevalidate) {
+        try {
+          const cached = await readJSON(path)
+          if (!fresh) {
+            refreshCachedJSON(path, producer, writeOptions).catch(() => {})
+          }
+          return cached
+        } catch {
+          // produce the value again below
+        }
+      }
+    }
+  }
+  return refreshCachedJSON(path, producer, writeOptions)
+}
+
+/**
+ * Creates a new, uniquely named directory in the operating system's temporary directory.
+ * @param {Object} $1
+ * @param {string=} $1.prefix The start of the directory's name, followed by random characters. Default is "tmp-".
+ * @returns {Promise<{path: string, cleanup: () => Promise<void>, [Symbol.asyncDispose]: () => Promise<void>}>}
+ *  "cleanup" removes the directory and everything in it; it does nothing if the directory is already gone.
+ *  The same function is used for Symbol.asyncDispose, so `await using directory = await makeTempDirectory()`
+ *  removes the directory when it goes out of scope.
+ */
+export async function makeTempDirectory({ prefix = "tmp-" } = {}) {
+  const path = await mkdtemp(join(tmpdir(), prefix))
+  const cleanup = async () => {
+    await rm(path, { recursive: true, force: true })
+  }
+  return { path, cleanup, [Symbol.asyncDispose]: cleanup }
+}
+
+/**
+ * Calls a function with the path of a new temporary directory, then removes the directory even if the function throws.
+ * @template R
+ * @param {(path: string) => R|Promise<R>} callback
+ * @param {Object} $1
+ * @param {string=} $1.prefix See makeTempDirectory().
+ * @returns {Promise<R>} The result of callback
+ */
+export async function withTempDirectory(callback, { prefix = undefined } = {}) {
+  const directory = await makeTempDirectory({ prefix })
+  try {
+    return await callback(directory.path)
+  } finally {
+    await directory.cleanup()
+  }
 }
@@ -1,26 +1,67 @@
-import { beforeEach, describe, expect, it, vi } from "vitest"
-
-const { readFileMock, statMock, tmpdirMock, gunzipMock, gzipMock, writeFileMock } = vi.hoisted(
-  () => ({
-    readFileMock: vi.fn(),
-    statMock: vi.fn(),
-    tmpdirMock: vi.fn(),
-    gunzipMock: vi.fn(),
-    gzipMock: vi.fn(),
-    writeFileMock: vi.fn(),
-  })
-)
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs"
+import { join } from "node:path"
+import { constants, gunzipSync, gzipSync } from "node:zlib"
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import { setNow } from "./time.js"
+
+const {
+  readFileMock,
+  statMock,
+  tmpdirMock,
+  gunzipMock,
+  gzipMock,
+  writeFileMock,
+  copyFileMock,
+  openMock,
+  renameMock,
+  unlinkMock,
+  brotliCompressMock,
+  brotliDecompressMock,
+  zstdCompressMock,
+  zstdDecompressMock,
+  mkdtempMock,
+  rmMock,
+} = vi.hoisted(() => ({
+  readFileMock: vi.fn(),
+  statMock: vi.fn(),
+  tmpdirMock: vi.fn(),
+  gunzipMock: vi.fn(),
+  gzipMock: vi.fn(),
+  writeFileMock: vi.fn(),
+  copyFileMock: vi.fn(),
+  openMock: vi.fn(),
+  renameMock: vi.fn(),
+  unlinkMock: vi.fn(),
+  brotliCompressMock: vi.fn(),
+  brotliDecompressMock: vi.fn(),
+  zstdCompressMock: vi.fn(),
+  zstdDecompressMock: vi.fn(),
+  mkdtempMock: vi.fn(),
+  rmMock: vi.fn(),
+}))
 vi.mock("node:fs/promises", () => ({
   readFile: readFileMock,
   stat: statMock,
   writeFile: writeFileMock,
+  copyFile: copyFileMock,
+  open: openMock,
+  rename: renameMock,
+  unlink: unlinkMock,
+  mkdtemp: mkdtempMock,
+  rm: rmMock,
 }))
 vi.mock("node:os", () => ({
   tmpdir: tmpdirMock,
 }))
-vi.mock("node:zlib", () => ({
+// streaming functions use the real zlib
+vi.mock("node:zlib", async (importOriginal) => ({
+  ...(await importOriginal()),
   gunzip: gunzipMock,
   gzip: gzipMock,
+  brotliCompress: brotliCompressMock,
+  brotliDecompress: brotliDecompressMock,
+  zstdCompress: zstdCompressMock,
+  zstdDecompress: zstdDecompressMock,
 }))
 vi.mock("node:util", () => ({
   promisify: (mock) => mock,
@@ -28,7 +69,36 @@ vi.mock("node:util", () => ({
 
 // Now import the module under test
 const mod = await import("./fs.js")
-const { readJSON, writeJSON, pathExists, makeTempDirectory } = mod
+const {
+  readJSON,
+  writeJSON,
+  pathExists,
+  makeTempDirectory,
+  withTempDirectory,
+  cachedJSON,
+  readNDJSON,
+  writeNDJSON,
+  appendNDJSON,
+} = mod
+const { tmpdir: realTmpdir } = await vi.importActual("node:os")
+
+// streaming functions are tested against real files
+let directory
+const useDirectory = () => {
+  beforeEach(() => {
+    directory = mkdtempSync(join(realTmpdir(), "fs-test-"))
+  })
+  afterEach(() => rmSync(directory, { recursive: true, force: true }))
+}
+
+// collects the records from an async iterable
+const collect = async (iterable) => {
+  const records = []
+  for await (const record of iterable) {
+    records.push(record)
+  }
+  return records
+}
 
 describe("readJSON", () => {
   beforeEach(() => vi.clearAllMocks())
@@ -46,6 +116,32 @@ describe("readJSON", () => {
     expect(readFileMock).toHaveBeenCalledWith("bar.gz")
     expect(gunzipMock).toHaveBeenCalledWith(Buffer.from("gzipped"))
   })
+  it("throws if the file fails to parse and fallbackToBackup is not set", async () => {
+    readFileMock.mockResolvedValue(Buffer.from('{"a":'))
+    await expect(readJSON("foo.json")).rejects.toThrow(SyntaxError)
+    expect(readFileMock).toHaveBeenCalledTimes(1)
+  })
+  it("reads the backup if the file fails to parse and fallbackToBackup is true", async () => {
+    readFileMock
+      .mockResolvedValueOnce(Buffer.from('{"a":'))
+      .mockResolvedValueOnce(Buffer.from('{"a":1}'))
+    const result = await readJSON("foo.json", { fallbackToBackup: true })
+    expect(result).toEqual({ a: 1 })
+    expect(readFileMock).toHaveBeenLastCalledWith("foo.json.bak")
+  })
+  it("decompresses the backup of a .gz file", async () => {
+    const error = new Error("unexpected end of file")
+    readFileMock.mockResolvedValue(Buffer.from("gzipped"))
+    gunzipMock.mockRejectedValueOnce(error).mockResolvedValueOnce(Buffer.from('{"b":2}'))
+    const result = await readJSON("bar.gz", { fallbackToBackup: true })
+    expect(result).toEqual({ b: 2 })
+    expect(readFileMock).toHaveBeenLastCalledWith("bar.gz.bak")
+  })
+  it("throws the original error if the backup also fails", async () => {
+    const error = Object.assign(new Error("not found"), { code: "ENOENT" })
+    readFileMock.mockRejectedValueOnce(error).mockRejectedValueOnce(new Error("backup"))
+    await expect(readJSON("foo.json", { fallbackToBackup: true })).rejects.toBe(error)
+  })
 })
 
 describe("writeJSON", () => {
@@ -84,6 +180,254 @@ describe("writeJSON", () => {
   })
 })
 
+describe("readJSON and writeJSON with brotli and zstd", () => {
+  beforeEach(() => vi.clearAllMocks())
+  it("decompresses .br files with brotli", async () => {
+    readFileMock.mockResolvedValue(Buffer.from("compressed"))
+    brotliDecompressMock.mockResolvedValue(Buffer.from('{"a":1}'))
+    expect(await readJSON("foo.json.br")).toEqual({ a: 1 })
+    expect(brotliDecompressMock).toHaveBeenCalledWith(Buffer.from("compressed"))
+  })
+  it("compresses .br files with brotli, using level as quality", async () => {
+    brotliCompressMock.mockResolvedValue(Buffer.from("compressed"))
+    await writeJSON("foo.json.br", { x: 1 }, { indent: 0 })
+    expect(brotliCompressMock).toHaveBeenLastCalledWith('{"x":1}', { params: {} })
+    await writeJSON("foo.json.br", { x: 1 }, { indent: 0, level: 11 })
+    const params = { [constants.BROTLI_PARAM_QUALITY]: 11 }
+    expect(brotliCompressMock).toHaveBeenLastCalledWith('{"x":1}', { params })
+    expect(writeFileMock).toHaveBeenCalledWith("foo.json.br", Buffer.from("compressed"))
+  })
+  it("passes level to gzip", async () => {
+    gzipMock.mockResolvedValue(Buffer.from("compressed"))
+    await writeJSON("foo.gz", { y: 3 }, { level: 9 })
+    expect(gzipMock).toHaveBeenCalledWith(JSON.stringify({ y: 3 }, undefined, 2), { level: 9 })
+  })
+  it("compresses and decompresses .zst files with zstd when supported", async () => {
+    zstdCompressMock.mockResolvedValue(Buffer.from("compressed"))
+    await writeJSON("foo.json.zst", [1], { indent: 0 })
+    expect(zstdCompressMock).toHaveBeenCalledWith("[1]", { params: {} })
+    expect(writeFileMock).toHaveBeenCalledWith("foo.json.zst", Buffer.from("compressed"))
+    readFileMock.mockResolvedValue(Buffer.from("compressed"))
+    zstdDecompressMock.mockResolvedValue(Buffer.from("[1]"))
+    expect(await readJSON("foo.json.zst")).toEqual([1])
+  })
+  it("throws a clear error for .zst files if zstd is not supported", async () => {
+    vi.resetModules()
+    vi.doMock("node:zlib", async (importOriginal) => {
+      // removes zstd in case the running version of Node supports it
+      const { zstdCompress, zstdDecompress, ...rest } = await importOriginal()
+      return rest
+    })
+    try {
+      const { readJSON: read, writeJSON: write } = await import("./fs.js")
+      const message = "zstd compression for .zst files is not supported by this version of Node"
+      await expect(read("foo.json.zst")).rejects.toThrow(message)
+      await expect(write("foo.json.zst", {})).rejects.toThrow(message)
+      expect(writeFileMock).not.toHaveBeenCalled()
+    } finally {
+      vi.doUnmock("node:zlib")
+    }
+  })
+})
+
+describe("writeJSON with atomic and backup", () => {
+  let handle
+  beforeEach(() => {
+    vi.clearAllMocks()
+    handle = { writeFile: vi.fn(), sync: vi.fn(), close: vi.fn() }
+    openMock.mockResolvedValue(handle)
+    unlinkMock.mockResolvedValue(undefined)
+  })
+  it("writes to a synced temporary file and renames it over path", async () => {
+    await writeJSON("dir/foo.json", { x: 2 }, { atomic: true })
+    const [tempPath, flags] = openMock.mock.calls[0]
+    expect(tempPath).toMatch(/^dir\/foo\.json\..+\.tmp$/u)
+    expect(flags).toBe("w")
+    expect(handle.writeFile).toHaveBeenCalledWith(JSON.stringify({ x: 2 }, undefined, 2))
+    expect(handle.sync).toHaveBeenCalled()
+    expect(handle.close).toHaveBeenCalled()
+    expect(renameMock).toHaveBeenCalledWith(tempPath, "dir/foo.json")
+    expect(writeFileMock).not.toHaveBeenCalled()
+  })
+  it("uses a different temporary file for each write", async () => {
+    await Promise.all([
+      writeJSON("foo.json", 1, { atomic: true }),
+      writeJSON("foo.json", 2, { atomic: true }),
+    ])
+    const [first, second] = openMock.mock.calls.map((args) => args[0])
+    expect(first).not.toBe(second)
+  })
+  it("writes compressed data atomically to .gz files", async () => {
+    gzipMock.mockResolvedValue(Buffer.from("compressed"))
+    await writeJSON("foo.gz", { y: 3 }, { atomic: true })
+    expect(handle.writeFile).toHaveBeenCalledWith(Buffer.from("compressed"))
+    expect(renameMock).toHaveBeenCalledWith(expect.any(String), "foo.gz")
+  })
+  it("removes the temporary file and throws if writing fails", async () => {
+    const error = new Error("disk full")
+    handle.writeFile.mockRejectedValue(error)
+    await expect(writeJSON("foo.json", {}, { atomic: true })).rejects.toBe(error)
+    expect(handle.close).toHaveBeenCalled()
+    expect(unlinkMock).toHaveBeenCalledWith(openMock.mock.calls[0][0])
+    expect(renameMock).not.toHaveBeenCalled()
+  })
+  it("copies the existing file to .bak before writing if backup is true", async () => {
+    readFileMock.mockResolvedValue(Buffer.from('{"x":1}'))
+    await writeJSON("foo.json", { x: 2 }, { backup: true, atomic: true })
+    expect(copyFileMock).toHaveBeenCalledWith("foo.json", "foo.json.bak")
+    expect(copyFileMock.mock.invocationCallOrder[0]).toBeLessThan(
+      renameMock.mock.invocationCallOrder[0]
+    )
+  })
+  it("writes without a backup if the file does not exist yet", async () => {
+    readFileMock.mockRejectedValue(Object.assign(new Error("not found"), { code: "ENOENT" }))
+    await writeJSON("foo.json", { x: 2 }, { backup: true })
+    expect(copyFileMock).not.toHaveBeenCalled()
+    expect(writeFileMock).toHaveBeenCalledWith("foo.json", expect.any(String))
+  })
+  it("keeps the previous backup if the existing file is corrupt", async () => {
+    readFileMock.mockResolvedValue(Buffer.from('{"x":'))
+    await writeJSON("foo.json", { x: 2 }, { backup: true })
+    expect(copyFileMock).not.toHaveBeenCalled()
+    expect(writeFileMock).toHaveBeenCalledWith("foo.json", expect.any(String))
+    gunzipMock.mockRejectedValue(new Error("incorrect header check"))
+    gzipMock.mockResolvedValue(Buffer.from("compressed"))
+    await writeJSON("foo.json.gz", { x: 2 }, { backup: true })
+    expect(copyFileMock).not.toHaveBeenCalled()
+  })
+  it("throws if the existing file cannot be read", async () => {
+    readFileMock.mockRejectedValue(Object.assign(new Error("bad"), { code: "EACCES" }))
+    await expect(writeJSON("foo.json", {}, { backup: true })).rejects.toThrow("bad")
+    expect(writeFileMock).not.toHaveBeenCalled()
+  })
+  it("throws if the backup fails for other reasons", async () => {
+    readFileMock.mockResolvedValue(Buffer.from("{}"))
+    copyFileMock.mockRejectedValue(Object.assign(new Error("bad"), { code: "EACCES" }))
+    await expect(writeJSON("foo.json", {}, { backup: true })).rejects.toThrow("bad")
+    expect(writeFileMock).not.toHaveBeenCalled()
+  })
+})
+
+describe("readNDJSON", () => {
+  useDirectory()
+  it("yields each record, skipping blank lines", async () => {
+    const path = join(directory, "records.ndjson")
+    writeFileSync(path, '{"a":1}\n\n[2]\r\n"three"\n{"b":4}')
+    expect(await collect(readNDJSON(path))).toEqual([{ a: 1 }, [2], "three", { b: 4 }])
+  })
+  it("decompresses .gz files, including concatenated members", async () => {
+    const path = join(directory, "records.ndjson.gz")
+    writeFileSync(path, Buffer.concat([gzipSync('{"a":1}\n'), gzipSync('{"a":2}\n')]))
+    expect(await collect(readNDJSON(path))).toEqual([{ a: 1 }, { a: 2 }])
+  })
+  it("throws with the line number if a line is invalid", async () => {
+    const path = join(directory, "records.ndjson")
+    writeFileSync(path, '{"a":1}\n\n{"a":\n')
+    await expect(collect(readNDJSON(path))).rejects.toThrow(`invalid JSON on line 3 of ${path}`)
+  })
+  it("throws if the file does not exist", async () => {
+    const path = join(directory, "missing.ndjson.gz")
+    await expect(collect(readNDJSON(path))).rejects.toThrow("ENOENT")
+  })
+  it("stops reading if the consumer breaks", async () => {
+    const path = join(directory, "records.ndjson")
+    writeFileSync(path, "1\n2\n3\n")
+    const records = []
+    for await (const record of readNDJSON(path)) {
+      records.push(record)
+      break
+    }
+    expect(records).toEqual([1])
+  })
+})
+
+describe("writeNDJSON", () => {
+  useDirectory()
+  it("writes one record per line from an iterable", async () => {
+    const path = join(directory, "records.ndjson")
+    await writeNDJSON(path, [{ a: 1 }, "two", [3]])
+    expect(readFileSync(path, "utf8")).toBe('{"a":1}\n"two"\n[3]\n')
+  })
+  it("writes from an async iterable and compresses .gz files", async () => {
+    const path = join(directory, "records.ndjson.gz")
+    async function* generate() {
+      for (let i = 0; i < 3; i++) {
+        yield { i }
+      }
+    }
+    await writeNDJSON(path, generate())
+    expect(gunzipSync(readFileSync(path)).toString()).toBe('{"i":0}\n{"i":1}\n{"i":2}\n')
+    expect(await collect(readNDJSON(path))).toEqual([{ i: 0 }, { i: 1 }, { i: 2 }])
+  })
+  it("overwrites an existing file", async () => {
+    const path = join(directory, "records.ndjson")
+    writeFileSync(path, "old\n")
+    await writeNDJSON(path, [1])
+    expect(readFileSync(path, "utf8")).toBe("1\n")
+  })
+  it("rejects if the iterable throws", async () => {
+    const path = join(directory, "records.ndjson")
+    async function* generate() {
+      yield 1
+      throw new Error("source failed")
+    }
+    await expect(writeNDJSON(path, generate())).rejects.toThrow("source failed")
+  })
+  it("rejects with a TypeError for records that cannot be serialized as JSON", async () => {
+    const path = join(directory, "records.ndjson")
+    for (const record of [undefined, () => 1, Symbol("record")]) {
+      await expect(writeNDJSON(path, [1, record])).rejects.toThrow(TypeError)
+    }
+  })
+})
+
+describe("appendNDJSON", () => {
+  useDirectory()
+  it("appends records to an existing file", async () => {
+    const path = join(directory, "records.ndjson")
+    writeFileSync(path, "0\n")
+    const writer = appendNDJSON(path)
+    await writer.write({ a: 1 })
+    await writer.write("two")
+    await writer.close()
+    expect(readFileSync(path, "utf8")).toBe('0\n{"a":1}\n"two"\n')
+  })
+  it("appends readable gzip members to .gz files", async () => {
+    const path = join(directory, "records.ndjson.gz")
+    for (const batch of [[1, 2], [3]]) {
+      const writer = appendNDJSON(path)
+      for (const record of batch) {
+        await writer.write(record)
+      }
+      await writer.close()
+    }
+    expect(await collect(readNDJSON(path))).toEqual([1, 2, 3])
+  })
+  it("handles more data than the stream buffers at once", async () => {
+    const path = join(directory, "records.ndjson")
+    const writer = appendNDJSON(path)
+    const record = "x".repeat(1000)
+    for (let i = 0; i < 200; i++) {
+      await writer.write(record)
+    }
+    await writer.close()
+    expect(await collect(readNDJSON(path))).toHaveLength(200)
+  })
+  it("rejects if the file cannot be written", async () => {
+    const writer = appendNDJSON(join(directory, "missing", "records.ndjson"))
+    await expect(writer.close()).rejects.toThrow("ENOENT")
+  })
+  it("rejects with a TypeError for records that cannot be serialized as JSON", async () => {
+    const path = join(directory, "records.ndjson")
+    const writer = appendNDJSON(path)
+    await writer.write(1)
+    await expect(writer.write(undefined)).rejects.toThrow(TypeError)
+    await writer.write(2)
+    await writer.close()
+    expect(await collect(readNDJSON(path))).toEqual([1, 2])
+  })
+})
+
 describe("pathExists", () => {
   beforeEach(() => {
     vi.clearAllMocks()
@@ -131,10 +475,150 @@ describe("pathExists", () => {
   })
 })
 
+describe("cachedJSON", () => {
+  const current = new Date("2024-01-15T15:00:00Z")
+  // makes the file at "cache.json" exist with contents, modified ageMs before current
+  const cacheFile = (contents, ageMs) => {
+    statMock.mockResolvedValue({ mtime: new Date(current.getTime() - ageMs) })
+    readFileMock.mockResolvedValue(Buffer.from(JSON.stringify(contents)))
+  }
+  let handle
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setNow(() => current)
+    handle = { writeFile: vi.fn(), sync: vi.fn(), close: vi.fn() }
+    openMock.mockResolvedValue(handle)
+  })
+  afterEach(() => setNow())
+
+  it("returns the file if it is within maxAge without calling producer", async () => {
+    cacheFile({ a: 1 }, 1000)
+    const producer = vi.fn()
+    await expect(cachedJSON("cache.json", { maxAge: 1000 }, producer)).resolves.toEqual({ a: 1 })
+    expect(producer).not.toHaveBeenCalled()
+  })
+
+  it("calls producer and writes its result atomically if the file is missing", async () => {
+    statMock.mockRejectedValue(Object.assign(new Error("not found"), { code: "ENOENT" }))
+    const result = await cachedJSON("cache.json", {}, () => ({ b: 2 }))
+    expect(result).toEqual({ b: 2 })
+    expect(handle.writeFile).toHaveBeenCalledWith(JSON.stringify({ b: 2 }, undefined, 2))
+    expect(renameMock).toHaveBeenCalledWith(expect.any(String), "cache.json")
+  })
+
+  it("calls producer if the file is older than maxAge, as measured by now()", async () => {
+    cacheFile({ a: 1 }, 1001)
+    const result = await cachedJSON("cache.json", { maxAge: 1000 }, async () => ({ a: 2 }))
+    expect(result).toEqual({ a: 2 })
+    expect(readFileMock).not.toHaveBeenCalled()
+  })
+
+  it("calls producer if force is true", async () => {
+    cacheFile({ a: 1 }, 0)
+    const result = await cachedJSON("cache.json", { force: true }, () => ({ a: 2 }))
+    expect(result).toEqual({ a: 2 })
+    expect(statMock).not.toHaveBeenCalled()
+  })
+
+  it("calls producer if the file cannot be parsed", async () => {
+    statMock.mockResolvedValue({ mtime: current })
+    readFileMock.mockResolvedValue(Buffer.from('{"a":'))
+    await expect(cachedJSON("cache.json", {}, () => "fixed")).resolves.toBe("fixed")
+  })
+
+  it("shares one call of producer between concurrent calls for the same path", async () => {
+    statMock.mockRejectedValue(Object.assign(new Error("not found"), { code: "ENOENT" }))
+    let resolve
+    const producer = vi
+      .fn()
+      .mockImplementationOnce(() => new Promise((_resolve) => (resolve = _resolve)))
+      .mockResolvedValue("again")
+    const first = cachedJSON("cache.json", {}, producer)
+    const second = cachedJSON("cache.json", {}, producer)
+    const other = cachedJSON("other.json", {}, () => "other")
+    await vi.waitFor(() => expect(producer).toHaveBeenCalled())
+    resolve("value")
+    await expect(Promise.all([first, second, other])).resolves.toEqual(["value", "value", "other"])
+    expect(producer).toHaveBeenCalledTimes(1)
+    await expect(cachedJSON("cache.json", {}, producer)).resolves.toBe("again")
+    expect(producer).toHaveBeenCalledTimes(2)
+  })
+
+  it("does not cache a rejection from producer", async () => {
+    statMock.mockRejectedValue(Object.assign(new Error("not found"), { code: "ENOENT" }))
+    const producer = vi.fn().mockRejectedValueOnce(new Error("fail")).mockResolvedValue("ok")
+    await expect(cachedJSON("cache.json", {}, producer)).rejects.toThrow("fail")
+    expect(renameMock).not.toHaveBeenCalled()
+    await expect(cachedJSON("cache.json", {}, producer)).resolves.toBe("ok")
+  })
+
+  it("returns a stale file and refreshes it in the background if staleWhileRevalidate is true", async () => {
+    cacheFile({ a: 1 }, 5000)
+    let resolve
+    const producer = vi.fn(() => new Promise((_resolve) => (resolve = _resolve)))
+    const options = { maxAge: 1000, staleWhileRevalidate: true }
+    await expect(cachedJSON("cache.json", options, producer)).resolves.toEqual({ a: 1 })
+    expect(producer).toHaveBeenCalledTimes(1)
+    // a refresh is already in flight
+    await expect(cachedJSON("cache.json", options, producer)).resolves.toEqual({ a: 1 })
+    resolve({ a: 2 })
+    await vi.waitFor(() => expect(renameMock).toHaveBeenCalled())
+    expect(handle.writeFile).toHaveBeenCalledWith(JSON.stringify({ a: 2 }, undefined, 2))
+  })
+
+  it("ignores errors from a background refresh", async () => {
+    cacheFile({ a: 1 }, 5000)
+    const producer = vi.fn().mockRejectedValue(new Error("fail"))
+    const options = { maxAge: 1000, staleWhileRevalidate: true }
+    await expect(cachedJSON("cache.json", options, producer)).resolves.toEqual({ a: 1 })
+    await vi.waitFor(() => expect(producer).toHaveBeenCalled())
+  })
+})
+
 describe("makeTempDirectory", () => {
-  it("returns the temp directory", () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    tmpdirMock.mockReturnValue("/tmp")
+    mkdtempMock.mockImplementation(async (prefix) => `${prefix}abc123`)
+  })
+  it("creates a unique directory in the temp directory", async () => {
+    const directory = await makeTempDirectory()
+    expect(mkdtempMock).toHaveBeenCalledWith(join("/tmp", "tmp-"))
+    expect(directory.path).toBe(join("/tmp", "tmp-abc123"))
+  })
+  it("uses prefix", async () => {
+    const directory = await makeTempDirectory({ prefix: "export-" })
+    expect(directory.path).toBe(join("/tmp", "export-abc123"))
+  })
+  it("removes the directory recursively with cleanup or Symbol.asyncDispose", async () => {
+    const directory = await makeTempDirectory()
+    await directory.cleanup()
+    expect(rmMock).toHaveBeenCalledWith(directory.path, { recursive: true, force: true })
+    await directory[Symbol.asyncDispose]()
+    expect(rmMock).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe("withTempDirectory", () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
     tmpdirMock.mockReturnValue("/tmp")
-    expect(makeTempDirectory()).toBe("/tmp")
-    expect(tmpdirMock).toHaveBeenCalled()
+    mkdtempMock.mockImplementation(async (prefix) => `${prefix}abc123`)
+  })
+  it("calls callback with the path and removes the directory afterward", async () => {
+    const callback = vi.fn(async (path) => {
+      expect(rmMock).not.toHaveBeenCalled()
+      return path.length
+    })
+    const result = await withTempDirectory(callback, { prefix: "job-" })
+    const path = join("/tmp", "job-abc123")
+    expect(callback).toHaveBeenCalledWith(path)
+    expect(result).toBe(path.length)
+    expect(rmMock).toHaveBeenCalledWith(path, { recursive: true, force: true })
+  })
+  it("removes the directory even if callback throws", async () => {
+    const error = new Error("fail")
+    await expect(withTempDirectory(() => Promise.reject(error))).rejects.toBe(error)
+    expect(rmMock).toHaveBeenCalledWith(join("/tmp", "tmp-abc123"), expect.anything())
   })
 })
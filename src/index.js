@@ -3,4 +3,5 @@ export * from "./find.js"
 export * from "./math.js"
 export * from "./object.js"
 export * from "./promise.js"
+export * from "./rate.js"
 export * from "./time.js"
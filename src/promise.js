@@ -1,64 +1,1120 @@
-import { chunk } from "./array.js"
+import { chunk, heapPop, heapPush } from "./array.js"
+import { mod } from "./math.js"
+import { isObject } from "./object.js"
+import { getEasternTime, isDateString, isTimeString, now, timers } from "./time.js"
 
 export class PollError extends Error {}
 
-export class PromiseAllError extends Error {}
+export class PromiseAllError extends AggregateError {
+  /**
+   * @param {string} message
+   * @param {Array<{index: number, element: any, error: any}>=} failures
+   *  Each failure's index in the input, the input element, and its error. The errors are also available as "errors".
+   */
+  constructor(message, failures = []) {
+    super(
+      failures.map(({ error }) => error),
+      message
+    )
+    this.failures = failures
+  }
+
+  /**
+   * Lists each failure on its own line with its index, followed by the error's chain of causes.
+   * @returns {string}
+   */
+  toString() {
+    const lines = [`PromiseAllError: ${this.message}`]
+    for (const { index, error } of this.failures) {
+      lines.push(`  [${index}] ${String(error)}`)
+      for (const cause of getCauses(error)) {
+        lines.push(`    caused by: ${cause}`)
+      }
+    }
+    return lines.join("\n")
+  }
+}
+
+export class TimeoutError extends Error {}
+
+export class AlertError extends AggregateError {
+  /**
+   * @param {Array<any>} errors
+   * @param {string} message
+   * @param {MyUtil.ErrorReport} report The summary of errors that message was formatted from
+   */
+  constructor(errors, message, report) {
+    super(errors, message)
+    this.report = report
+  }
+}
+
+export class CircuitOpenError extends Error {}
+
+export class RetryError extends Error {
+  /**
+   * @param {string} message
+   * @param {Array<any>} errors The error thrown by each attempt, in order. The last one is also used as "cause".
+   */
+  constructor(message, errors) {
+    super(message, { cause: errors[errors.length - 1] })
+    this.errors = errors
+  }
+}
+
+// default for poll()'s "isDone" option
+function isPollResult(result) {
+  return result !== undefined && result !== null && result !== false
+}
+
+// converts poll()'s "ms" option to a function of the attempt index
+function getPollDelay(ms) {
+  if (typeof ms === "function") {
+    return ms
+  }
+  if (typeof ms === "object" && ms !== null) {
+    const { initial, multiplier = 2, max = Infinity } = ms
+    return (attemptIndex) => Math.min(max, initial * multiplier ** attemptIndex)
+  }
+  return () => ms
+}
 
 /**
  * Calls a function immediately and then every X milliseconds until the function does not return undefined, null or false.
  * Note that other falsy values such as 0 or "" or NaN will resolve and be returned.
- * This will never resolve if callback always returns undefined, null, or false.
+ * This will never resolve if callback always returns undefined, null, or false, unless "attempts" or "timeout" is specified.
  * @template R
  * @param {Object} $1
- * @param {number} $1.ms Milliseconds to wait between invocations
+ * @param {number|((attemptIndex: number) => number)|{initial: number, multiplier?: number, max?: number}} $1.ms
+ *  Milliseconds to wait between invocations. If a function, it is called with the index of the attempt that just finished.
+ *  If an object, waits `min(max, initial * multiplier ** attemptIndex)`; "multiplier" defaults to 2 and "max" to Infinity.
  * @param {boolean|number=} $1.wait If true, waits before initially calling the callback. If a number, waits that many milliseconds.
+ *  If true and "ms" is not a number, waits the same amount as after the first attempt.
  * @param {number=} $1.attempts If a number, limits to that many invocations of callback before throwing a PollError.
- * @param {(attemptIndex: number) => R|Promise<R>} callback The argument is the number of times the callback has been called previously.
+ * @param {number=} $1.timeout If a number, rejects with a PollError after that many milliseconds, even if callback is running.
+ * @param {(result: R) => boolean=} $1.isDone Determines if a result should be resolved.
+ *  Default is to resolve if the result is not undefined, null, or false.
+ * @param {boolean=} $1.ignoreErrors If true, treats an error thrown by callback as not done instead of rejecting with it.
+ *  A PollError due to "attempts" or "timeout" has the last error as its "cause".
+ * @param {((result: R, attemptIndex: number) => any)=} $1.onAttempt Called after each invocation of callback that does not throw.
+ * @param {((error: any, attemptIndex: number) => any)=} $1.onError Called after each invocation of callback that throws.
+ * @param {AbortSignal=} $1.signal If aborted, clears any pending timer, stops calling callback, and rejects with the signal's reason.
+ *  Also passed as the second argument to callback.
+ * @param {(attemptIndex: number, signal?: AbortSignal) => R|Promise<R>} callback
+ *  The first argument is the number of times the callback has been called previously.
  * @returns {Promise<R>} The result of the callback
  */
-export function poll({ ms, wait = false, attempts = undefined }, callback) {
+export function poll(
+  {
+    ms,
+    wait = false,
+    attempts = undefined,
+    timeout = undefined,
+    isDone = isPollResult,
+    ignoreErrors = false,
+    onAttempt = undefined,
+    onError = undefined,
+    signal = undefined,
+  },
+  callback
+) {
+  const getDelay = getPollDelay(ms)
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
     let attemptIndex = 0
-    const resolver = async () => {
+    let finished = false
+    let lastError
+    let attemptTimeout
+    let overallTimeout
+    const settle = (settler, value) => {
+      if (finished) {
+        return
+      }
+      finished = true
+      timers.clearTimeout(attemptTimeout)
+      timers.clearTimeout(overallTimeout)
+      signal?.removeEventListener("abort", onAbort)
+      settler(value)
+    }
+    const onAbort = () => settle(reject, signal?.reason)
+    signal?.addEventListener("abort", onAbort, { once: true })
+    if (timeout !== undefined) {
+      overallTimeout = timers.setTimeout(() => {
+        settle(reject, new PollError("timed out", { cause: lastError }))
+      }, timeout)
+    }
+    const attempt = async () => {
       if (typeof attempts === "number" && attemptIndex >= attempts) {
-        reject(new PollError("max attempts reached"))
+        settle(reject, new PollError("max attempts reached", { cause: lastError }))
         return
       }
+      const currentIndex = attemptIndex++
+      let result
+      let failed = false
       try {
-        const result = await callback(attemptIndex)
-        attemptIndex++
-        if (result !== undefined && result !== null && result !== false) {
-          resolve(result)
-        } else {
-          setTimeout(resolver, ms)
-        }
+        result = await (signal ? callback(currentIndex, signal) : callback(currentIndex))
       } catch (error) {
-        reject(error)
+        failed = true
+        lastError = error
       }
+      if (finished) {
+        return
+      }
+      if (failed) {
+        await onError?.(lastError, currentIndex)
+        if (!ignoreErrors) {
+          settle(reject, lastError)
+          return
+        }
+      } else {
+        await onAttempt?.(result, currentIndex)
+        if (isDone(result)) {
+          settle(resolve, result)
+          return
+        }
+      }
+      if (!finished) {
+        attemptTimeout = timers.setTimeout(resolver, getDelay(currentIndex))
+      }
+    }
+    // errors from hooks reject
+    const resolver = () => {
+      attempt().catch((error) => settle(reject, error))
     }
     if (typeof wait === "number") {
-      setTimeout(resolver, wait)
+      attemptTimeout = timers.setTimeout(resolver, wait)
     } else if (wait === true) {
-      setTimeout(resolver, ms)
+      attemptTimeout = timers.setTimeout(resolver, getDelay(0))
     } else {
       resolver()
     }
   })
 }
 
+// computes the delay before the next attempt for retry()
+function getRetryDelay(attemptIndex, { delay, maxDelay, factor, jitter }) {
+  const ceiling = Math.min(maxDelay, delay * factor ** attemptIndex)
+  if (jitter === "full") {
+    return Math.random() * ceiling
+  } else if (jitter === "equal") {
+    return ceiling / 2 + (Math.random() * ceiling) / 2
+  }
+  return ceiling
+}
+
+/**
+ * Calls a function until it does not throw, waiting an exponentially increasing amount of time between attempts.
+ * The delay before the retry following attempt N (starting at 0) is `min(maxDelay, delay * factor ** N)`, which is then jittered.
+ * @template R
+ * @param {Object} $1
+ * @param {number=} $1.attempts The maximum number of invocations of callback; must be a positive integer. Default is 3.
+ * @param {number=} $1.delay Base delay in milliseconds. Default is 100.
+ * @param {number=} $1.maxDelay Maximum delay in milliseconds before jitter is applied. Default is Infinity.
+ * @param {number=} $1.factor The multiplier applied to the delay after each attempt. Default is 2.
+ * @param {"full"|"equal"|false=} $1.jitter How to randomize the delay. Default is "full".
+ *  "full" waits a random amount between 0 and the delay; "equal" waits half the delay plus a random amount up to the other half.
+ *  If false, waits exactly the delay.
+ * @param {((error: any, attemptIndex: number) => boolean)=} $1.isRetryable If provided and returns false, stops retrying.
+ *  Default is to retry every error.
+ * @param {((error: any, attemptIndex: number, delay: number) => any)=} $1.onRetry Awaited before waiting to retry.
+ * @param {(attemptIndex: number) => R|Promise<R>} callback The argument is the number of times the callback has been called previously.
+ * @returns {Promise<R>} The result of the callback
+ * @throws {RetryError} If attempts are exhausted or an error is not retryable. Has each attempt's error in "errors".
+ */
+export async function retry(
+  {
+    attempts = 3,
+    delay = 100,
+    maxDelay = Infinity,
+    factor = 2,
+    jitter = "full",
+    isRetryable = () => true,
+    onRetry,
+  },
+  callback
+) {
+  if (!(attempts > 0) || !Number.isInteger(attempts)) {
+    throw new Error("attempts must be a positive integer")
+  }
+  const errors = []
+  for (let attemptIndex = 0; attemptIndex < attempts; attemptIndex++) {
+    try {
+      return await callback(attemptIndex)
+    } catch (error) {
+      errors.push(error)
+      if (!isRetryable(error, attemptIndex)) {
+        throw new RetryError("error is not retryable", errors)
+      }
+      if (attemptIndex + 1 < attempts) {
+        const ms = getRetryDelay(attemptIndex, { delay, maxDelay, factor, jitter })
+        await onRetry?.(error, attemptIndex, ms)
+        await sleep(ms)
+      }
+    }
+  }
+  throw new RetryError("max attempts reached", errors)
+}
+
 /**
  * Sleep for X milliseconds.
  * @param {number} ms Milliseconds; returns immediately if negative
+ * @param {Object} $1
+ * @param {AbortSignal=} $1.signal If aborted, clears the timer and rejects with the signal's reason.
  */
-export async function sleep(ms) {
+export async function sleep(ms, { signal = undefined } = {}) {
+  signal?.throwIfAborted()
   if (ms < 0) {
     return
   }
-  await new Promise((resolve) => {
-    setTimeout(resolve, ms)
+  await new Promise((resolve, reject) => {
+    const onAbort = () => {
+      timers.clearTimeout(timeout)
+      reject(signal?.reason)
+    }
+    const timeout = timers.setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort)
+      resolve(undefined)
+    }, ms)
+    signal?.addEventListener("abort", onAbort, { once: true })
+  })
+}
+
+// sleeps until now() reaches timestamp (in milliseconds), sleeping again if the timer fires early
+async function sleepUntilTimestamp(timestamp, { signal }) {
+  signal?.throwIfAborted()
+  let remaining = timestamp - now().getTime()
+  while (remaining > 0) {
+    await sleep(remaining, { signal })
+    remaining = timestamp - now().getTime()
+  }
+}
+
+// returns the milliseconds to add to timestamp (in milliseconds) to get the wall-clock time in timeZone as if it were UTC
+function getZoneOffset(timestamp, timeZone) {
+  const { date, time } = getEasternTime({ dateInstance: new Date(timestamp), timeZone })
+  // midnight may be formatted as 24:00:00 on the same date
+  const wallClock = Date.parse(`${date}T${time?.replace(/^24/u, "00")}Z`)
+  return wallClock - Math.floor(timestamp / 1000) * 1000
+}
+
+// returns the timestamp (in milliseconds) at which the wall clock in timeZone shows date and time
+// a time skipped by a daylight saving change gives the equivalent time after the change
+// a time repeated by a daylight saving change gives the first occurrence
+function getWallClockTimestamp(date, time, timeZone) {
+  const wallClock = Date.parse(`${date}T${time}Z`)
+  const first = wallClock - getZoneOffset(wallClock, timeZone)
+  const second = wallClock - getZoneOffset(first, timeZone)
+  if (second + getZoneOffset(second, timeZone) === wallClock) {
+    return second
+  }
+  return Math.max(first, second)
+}
+
+// returns the first whole minute after timestamp (in milliseconds) at which the wall clock in timeZone
+// shows a minute of the day that is a multiple of minutes
+function getNextBoundary(timestamp, { minutes, timeZone }) {
+  let candidate = Math.floor(timestamp / 60000) * 60000 + 60000
+  while (true) {
+    const minuteOfDay = mod((candidate + getZoneOffset(candidate, timeZone)) / 60000, 24 * 60)
+    const remainder = minuteOfDay % minutes
+    if (remainder === 0) {
+      return candidate
+    }
+    // the day may not be a multiple of minutes, so boundaries restart at midnight
+    candidate += Math.min(minutes - remainder, 24 * 60 - minuteOfDay) * 60000
+  }
+}
+
+/**
+ * Sleeps until the wall clock in a time zone shows a date and time, even across daylight saving changes.
+ * Checks now() after waking and sleeps again if woken early, so it works with setNow() and createVirtualClock().
+ * @param {Object} $1
+ * @param {string=} $1.date YYYY-MM-DD. If not provided, uses the next occurrence of "time", which may be today.
+ *  If provided and already past, returns immediately.
+ * @param {string=} $1.time HH:mm or HH:mm:ss. Default is midnight.
+ *  If skipped by a daylight saving change, wakes at the equivalent time after the change. If repeated, wakes at the first occurrence.
+ * @param {string|boolean=} $1.timeZone Default is "America/New_York". A falsy value corresponds to local time.
+ * @param {AbortSignal=} $1.signal If aborted, clears the timer and rejects with the signal's reason.
+ * @returns {Promise<Date>} The time slept until
+ */
+export async function sleepUntil({
+  date = undefined,
+  time = "00:00:00",
+  timeZone = "America/New_York",
+  signal = undefined,
+} = {}) {
+  const fullTime = time.length === 5 ? `${time}:00` : time
+  if (!isTimeString(fullTime)) {
+    throw new Error(`invalid time: ${time}`)
+  }
+  if (date !== undefined && !isDateString(date)) {
+    throw new Error(`invalid date: ${date}`)
+  }
+  let timestamp
+  if (date !== undefined) {
+    timestamp = getWallClockTimestamp(date, fullTime, timeZone)
+  } else {
+    const current = now().getTime()
+    const today = getEasternTime({ dateInstance: new Date(current), timeZone }).date
+    timestamp = getWallClockTimestamp(today, fullTime, timeZone)
+    if (timestamp <= current) {
+      const tomorrow = new Date(Date.parse(`${today}T00:00:00Z`) + 24 * 60 * 60 * 1000)
+      timestamp = getWallClockTimestamp(tomorrow.toISOString().slice(0, 10), fullTime, timeZone)
+    }
+  }
+  await sleepUntilTimestamp(timestamp, { signal })
+  return new Date(timestamp)
+}
+
+/**
+ * Calls a function repeatedly on a schedule until aborted or the function throws.
+ * Each wait is measured from now() rather than from the previous call, so delays do not accumulate.
+ * @param {Object} $1
+ * @param {number} $1.minutes The number of minutes between calls; must be a positive integer
+ * @param {boolean=} $1.align If true (default), calls at the times of day on the wall clock in "timeZone"
+ *  whose minute of the day is a multiple of "minutes", e.g. each :00 and :05 for 5. Boundaries restart at midnight.
+ *  After a daylight saving change, the schedule continues from the new wall-clock time,
+ *  so a repeated hour has its boundaries called twice and a skipped hour has none.
+ *  If false, calls every "minutes" after every() is called.
+ * @param {string|boolean=} $1.timeZone Default is "America/New_York". A falsy value corresponds to local time.
+ * @param {"skip"|"queue"|"parallel"=} $1.overlap What to do when a call is due while a previous call is still running.
+ *  If "skip" (default), does not make the call. If "queue", makes the call once all previous calls have settled;
+ *  if callback is consistently slower than "minutes", queued calls pile up. If "parallel", makes the call anyway.
+ * @param {AbortSignal=} $1.signal If aborted, stops making calls and rejects with the signal's reason.
+ * @param {(scheduled: Date, signal: AbortSignal) => any} callback Called with the time the call was scheduled for
+ *  and a signal that is aborted when "signal" is aborted or another call throws, so that work in flight can be cancelled.
+ * @returns {Promise<never>} Rejects with the signal's reason when aborted or with the error from callback if it throws.
+ *  Calls in flight are not waited for, and queued calls are not made.
+ */
+export async function every(
+  { minutes, align = true, timeZone = "America/New_York", overlap = "skip", signal = undefined },
+  callback
+) {
+  if (!(minutes > 0) || !Number.isInteger(minutes)) {
+    throw new Error("minutes must be a positive integer")
+  }
+  if (!["skip", "queue", "parallel"].includes(overlap)) {
+    throw new Error(`invalid overlap: ${overlap}`)
+  }
+  signal?.throwIfAborted()
+  // aborted with the error if a call fails
+  const controller = new AbortController()
+  const loopSignal = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal
+  let running = 0
+  let queue = Promise.resolve()
+  const call = async (scheduled) => {
+    running++
+    try {
+      await callback(scheduled, loopSignal)
+    } catch (error) {
+      controller.abort(error)
+    } finally {
+      running--
+    }
+  }
+  const interval = minutes * 60000
+  let previous = now().getTime()
+  while (true) {
+    const current = now().getTime()
+    // boundaries already past when the loop gets to them are skipped
+    const next = align
+      ? getNextBoundary(Math.max(previous, current), { minutes, timeZone })
+      : previous + Math.max(1, Math.ceil((current - previous) / interval)) * interval
+    await sleepUntilTimestamp(next, { signal: loopSignal })
+    previous = next
+    const scheduled = new Date(next)
+    if (overlap === "queue") {
+      queue = queue.then(() => {
+        if (!loopSignal.aborted) {
+          return call(scheduled)
+        }
+      })
+    } else if (overlap === "parallel" || !running) {
+      call(scheduled)
+    }
+  }
+}
+
+// returns a promise that settles like promise or rejects with signal's reason when signal is aborted, whichever is first
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason)
+    if (signal.aborted) {
+      onAbort()
+      return
+    }
+    signal.addEventListener("abort", onAbort, { once: true })
+    Promise.resolve(promise)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort))
+  })
+}
+
+/**
+ * Rejects with a TimeoutError if a promise does not settle within X milliseconds.
+ * @template R
+ * @param {Promise<R>|((signal: AbortSignal) => R|Promise<R>)} promiseOrFn If a function, it is called immediately.
+ *  It is passed a signal that is aborted with the TimeoutError on timeout so that it can cancel its own work.
+ * @param {number=} ms Milliseconds; if undefined or Infinity, never times out
+ * @returns {Promise<R>}
+ */
+export function withTimeout(promiseOrFn, ms) {
+  const controller = new AbortController()
+  return new Promise((resolve, reject) => {
+    let timeout
+    if (ms !== undefined && ms !== Infinity) {
+      timeout = timers.setTimeout(() => {
+        const error = new TimeoutError(`timed out after ${ms} ms`)
+        controller.abort(error)
+        reject(error)
+      }, ms)
+    }
+    new Promise((_resolve) => {
+      _resolve(typeof promiseOrFn === "function" ? promiseOrFn(controller.signal) : promiseOrFn)
+    })
+      .then(resolve, reject)
+      .finally(() => timers.clearTimeout(timeout))
   })
 }
 
+// pushes a waiter onto "waiters" and returns a promise that resolves with the value passed to waiter.resolve()
+// if "signal" is aborted or "timeout" milliseconds pass first, removes the waiter and rejects
+function enqueueWaiter(waiters, { signal, timeout }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+    let timer
+    const cleanup = () => {
+      timers.clearTimeout(timer)
+      signal?.removeEventListener("abort", onAbort)
+    }
+    const fail = (error) => {
+      waiters.splice(waiters.indexOf(waiter), 1)
+      cleanup()
+      reject(error)
+    }
+    const onAbort = () => fail(signal?.reason)
+    const waiter = {
+      resolve: (value) => {
+        cleanup()
+        resolve(value)
+      },
+    }
+    signal?.addEventListener("abort", onAbort, { once: true })
+    if (timeout !== undefined && timeout !== Infinity) {
+      timer = timers.setTimeout(() => {
+        fail(new TimeoutError(`timed out after ${timeout} ms`))
+      }, timeout)
+    }
+    waiters.push(waiter)
+  })
+}
+
+/**
+ * A counting semaphore. Waiters are given permits in the order acquire() was called.
+ */
+export class Semaphore {
+  #permits
+  #waiters = []
+
+  /**
+   * @param {number} permits The number of permits initially available; must be a nonnegative integer
+   */
+  constructor(permits) {
+    if (!(permits >= 0) || !Number.isInteger(permits)) {
+      throw new Error("permits must be a nonnegative integer")
+    }
+    this.#permits = permits
+  }
+
+  /**
+   * Waits until a permit is available and takes it. Each call must be followed by one call to release().
+   * @param {Object} $1
+   * @param {AbortSignal=} $1.signal If aborted before a permit is taken, rejects with the signal's reason.
+   * @param {number=} $1.timeout If a permit is not taken within this many milliseconds, rejects with a TimeoutError.
+   * @returns {Promise<void>}
+   */
+  async acquire({ signal = undefined, timeout = undefined } = {}) {
+    signal?.throwIfAborted()
+    if (this.#permits > 0 && !this.#waiters.length) {
+      this.#permits--
+      return
+    }
+    await enqueueWaiter(this.#waiters, { signal, timeout })
+  }
+
+  /**
+   * Returns a permit, giving it to the next waiter if there is one.
+   */
+  release() {
+    const waiter = this.#waiters.shift()
+    if (waiter) {
+      waiter.resolve()
+    } else {
+      this.#permits++
+    }
+  }
+
+  /**
+   * Calls a function while holding a permit, releasing it when the function settles.
+   * @template R
+   * @param {() => R|Promise<R>} fn
+   * @param {{signal?: AbortSignal, timeout?: number}=} options Passed to acquire()
+   * @returns {Promise<R>}
+   */
+  async withPermit(fn, options) {
+    await this.acquire(options)
+    try {
+      return await fn()
+    } finally {
+      this.release()
+    }
+  }
+
+  /**
+   * The number of permits not taken.
+   * @returns {number}
+   */
+  get available() {
+    return this.#permits
+  }
+
+  /**
+   * The number of calls to acquire() waiting for a permit.
+   * @returns {number}
+   */
+  get waiting() {
+    return this.#waiters.length
+  }
+}
+
+/**
+ * A mutual exclusion lock, for serializing work such as writes to a shared file from different call sites.
+ * Waiters get the lock in the order acquire() or runExclusive() was called.
+ */
+export class Mutex {
+  #semaphore = new Semaphore(1)
+
+  /**
+   * Waits until the lock is free and takes it.
+   * @param {Object} $1
+   * @param {AbortSignal=} $1.signal If aborted before the lock is taken, rejects with the signal's reason.
+   * @param {number=} $1.timeout If the lock is not taken within this many milliseconds, rejects with a TimeoutError.
+   * @returns {Promise<() => void>} A function that releases the lock; calling it more than once has no effect
+   */
+  async acquire({ signal = undefined, timeout = undefined } = {}) {
+    await this.#semaphore.acquire({ signal, timeout })
+    let released = false
+    return () => {
+      if (!released) {
+        released = true
+        this.#semaphore.release()
+      }
+    }
+  }
+
+  /**
+   * Calls a function while holding the lock, releasing it when the function settles.
+   * @template R
+   * @param {() => R|Promise<R>} fn
+   * @param {{signal?: AbortSignal, timeout?: number}=} options Passed to acquire()
+   * @returns {Promise<R>}
+   */
+  async runExclusive(fn, options) {
+    return this.#semaphore.withPermit(fn, options)
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get isLocked() {
+    return this.#semaphore.available === 0
+  }
+}
+
+/**
+ * Makes a number of callers wait until all of them have called wait(). It is reusable once they are released.
+ */
+export class Barrier {
+  #parties
+  #waiters = []
+
+  /**
+   * @param {number} parties The number of callers to wait for; must be a positive integer
+   */
+  constructor(parties) {
+    if (!(parties > 0) || !Number.isInteger(parties)) {
+      throw new Error("parties must be a positive integer")
+    }
+    this.#parties = parties
+  }
+
+  /**
+   * Waits until "parties" callers are waiting, then releases all of them.
+   * A caller that is aborted or times out no longer counts toward "parties".
+   * @param {Object} $1
+   * @param {AbortSignal=} $1.signal If aborted before release, rejects with the signal's reason.
+   * @param {number=} $1.timeout If not released within this many milliseconds, rejects with a TimeoutError.
+   * @returns {Promise<void>}
+   */
+  async wait({ signal = undefined, timeout = undefined } = {}) {
+    signal?.throwIfAborted()
+    if (this.#waiters.length + 1 >= this.#parties) {
+      this.#waiters.splice(0).forEach((waiter) => waiter.resolve())
+      return
+    }
+    await enqueueWaiter(this.#waiters, { signal, timeout })
+  }
+
+  /**
+   * The number of callers waiting to be released.
+   * @returns {number}
+   */
+  get waiting() {
+    return this.#waiters.length
+  }
+}
+
+/**
+ * Makes callers wait until countDown() has been called a number of times. Unlike Barrier, it cannot be reused.
+ */
+export class Latch {
+  #count
+  #waiters = []
+
+  /**
+   * @param {number} count The number of calls to countDown() to wait for; must be a nonnegative integer
+   */
+  constructor(count) {
+    if (!(count >= 0) || !Number.isInteger(count)) {
+      throw new Error("count must be a nonnegative integer")
+    }
+    this.#count = count
+  }
+
+  /**
+   * Decrements the count, releasing all waiters once it reaches 0. Has no effect if the count is already 0.
+   */
+  countDown() {
+    if (this.#count > 0 && --this.#count === 0) {
+      this.#waiters.splice(0).forEach((waiter) => waiter.resolve())
+    }
+  }
+
+  /**
+   * Waits until the count reaches 0. Resolves immediately if it already has.
+   * @param {Object} $1
+   * @param {AbortSignal=} $1.signal If aborted before the count reaches 0, rejects with the signal's reason.
+   * @param {number=} $1.timeout If the count does not reach 0 within this many milliseconds, rejects with a TimeoutError.
+   * @returns {Promise<void>}
+   */
+  async wait({ signal = undefined, timeout = undefined } = {}) {
+    signal?.throwIfAborted()
+    if (this.#count === 0) {
+      return
+    }
+    await enqueueWaiter(this.#waiters, { signal, timeout })
+  }
+
+  /**
+   * @returns {number}
+   */
+  get count() {
+    return this.#count
+  }
+}
+
+/**
+ * A promise along with the functions to settle it.
+ * @template T
+ */
+export class Deferred {
+  #settled = false
+
+  /**
+   * @param {Object} $1
+   * @param {AbortSignal=} $1.signal If aborted before the promise is settled, rejects with the signal's reason.
+   * @param {number=} $1.timeout If not settled within this many milliseconds, rejects with a TimeoutError.
+   */
+  constructor({ signal = undefined, timeout = undefined } = {}) {
+    /** @type {(value: T|PromiseLike<T>) => void} */
+    let resolvePromise
+    /** @type {(reason?: any) => void} */
+    let rejectPromise
+    /** @type {Promise<T>} */
+    this.promise = new Promise((resolve, reject) => {
+      resolvePromise = resolve
+      rejectPromise = reject
+    })
+    let timer
+    const onAbort = () => this.reject(signal?.reason)
+    const settle = (settler, value) => {
+      if (this.#settled) {
+        return
+      }
+      this.#settled = true
+      timers.clearTimeout(timer)
+      signal?.removeEventListener("abort", onAbort)
+      settler(value)
+    }
+    /** @type {(value: T|PromiseLike<T>) => void} */
+    this.resolve = (value) => settle(resolvePromise, value)
+    /** @type {(reason?: any) => void} */
+    this.reject = (reason) => settle(rejectPromise, reason)
+    if (signal?.aborted) {
+      onAbort()
+      return
+    }
+    signal?.addEventListener("abort", onAbort, { once: true })
+    if (timeout !== undefined && timeout !== Infinity) {
+      timer = timers.setTimeout(() => {
+        this.reject(new TimeoutError(`timed out after ${timeout} ms`))
+      }, timeout)
+    }
+  }
+
+  /**
+   * True once resolve() or reject() has been called or the promise was rejected due to "signal" or "timeout".
+   * @returns {boolean}
+   */
+  get isSettled() {
+    return this.#settled
+  }
+}
+
+// wraps allSettled()'s callback and limiter to handle its "acquire", "signal", "timeout", and "deadline" options
+// "clear" must be called when done to clear the deadline timer
+// the wrapped callback and the wrappers around it take a fourth argument, the position of the element in the iterable,
+//  which is not passed to callback
+function wrapCalls({ callback, limiter, acquire, signal, timeout, deadline }) {
+  if (!signal && timeout === undefined && deadline === undefined) {
+    return {
+      callback: acquire
+        ? async (element, index, elements) => {
+            await acquire(1)
+            return callback(element, index, elements)
+          }
+        : (element, index, elements) => callback(element, index, elements),
+      limiter,
+      clear: () => {},
+    }
+  }
+  let deadlineSignal
+  let deadlineTimeout
+  if (deadline !== undefined) {
+    const controller = new AbortController()
+    deadlineTimeout = timers.setTimeout(() => {
+      controller.abort(new TimeoutError(`deadline of ${deadline} ms exceeded`))
+    }, deadline)
+    deadlineSignal = controller.signal
+  }
+  const signals = [signal, deadlineSignal].filter(Boolean)
+  const runSignal = signals.length > 1 ? AbortSignal.any(signals) : signals[0]
+  const wrappedCallback = async (element, index, elements) => {
+    // once the deadline passes, remaining elements are rejected without calling callback
+    deadlineSignal?.throwIfAborted()
+    if (acquire) {
+      await abortable(acquire(1, { signal: runSignal }), deadlineSignal)
+    }
+    if (timeout === undefined) {
+      return abortable(callback(element, index, elements, runSignal), deadlineSignal)
+    }
+    const promise = withTimeout((timeoutSignal) => {
+      const callSignal = runSignal ? AbortSignal.any([runSignal, timeoutSignal]) : timeoutSignal
+      return callback(element, index, elements, callSignal)
+    }, timeout)
+    return abortable(promise, deadlineSignal)
+  }
+  const wrappedLimiter = async (count) => {
+    // no reason to wait once the deadline passes since no more calls will be made
+    if (deadlineSignal?.aborted) {
+      return
+    }
+    try {
+      await abortable(limiter(count, { signal: runSignal }), deadlineSignal)
+    } catch (error) {
+      if (!deadlineSignal?.aborted) {
+        throw error
+      }
+    }
+  }
+  return {
+    callback: wrappedCallback,
+    limiter: limiter && wrappedLimiter,
+    clear: () => timers.clearTimeout(deadlineTimeout),
+  }
+}
+
+// calls onProgress with statistics each time a call settles for allSettled()'s "onProgress" option
+// "wrap" wraps callback to count calls; the outcome of a call is counted before onProgress is called so that
+//  an error from onProgress does not replace the call's value or error
+// "finish" waits for promises returned by onProgress and throws the first error from onProgress, if any
+// total is the number of elements if known from the iterable; count is the number of elements once iterated
+function trackProgress({ onProgress, total, count }) {
+  const startTimestamp = now().getTime()
+  let started = 0
+  let fulfilled = 0
+  let rejected = 0
+  let failed = false
+  let progressError
+  const pending = new Set()
+  const fail = (error) => {
+    if (!failed) {
+      failed = true
+      progressError = error
+    }
+  }
+  const report = () => {
+    const elapsed = now().getTime() - startTimestamp
+    const settled = fulfilled + rejected
+    // per second
+    const throughput = elapsed > 0 ? (settled / elapsed) * 1000 : 0
+    let eta
+    if (total !== undefined && settled >= total) {
+      eta = 0
+    } else if (total !== undefined && throughput > 0) {
+      eta = ((total - settled) / throughput) * 1000
+    }
+    const done = settled >= count
+    try {
+      const result = onProgress({
+        started,
+        fulfilled,
+        rejected,
+        settled,
+        total,
+        done,
+        elapsed,
+        throughput,
+        eta,
+      })
+      if (typeof result?.then === "function") {
+        const promise = Promise.resolve(result)
+          .catch(fail)
+          .finally(() => pending.delete(promise))
+        pending.add(promise)
+      }
+    } catch (error) {
+      fail(error)
+    }
+  }
+  const wrap = (callback) => {
+    return async (element, index, elements, position) => {
+      started++
+      let value
+      try {
+        value = await callback(element, index, elements, position)
+      } catch (error) {
+        rejected++
+        report()
+        throw error
+      }
+      fulfilled++
+      report()
+      return value
+    }
+  }
+  const finish = async () => {
+    await Promise.all(pending)
+    if (failed) {
+      throw progressError
+    }
+  }
+  return { wrap, finish }
+}
+
+// reads the checkpoint file for allSettled()'s "checkpoint" option
+// "wrap" wraps callback so that elements fulfilled in the checkpoint file are not passed to it again;
+//  their saved values are returned instead
+// the checkpoint is written atomically at most once per interval as calls settle; "save" must be awaited when done
+// fs.js is imported here so that importing this module does not load Node's fs and zlib
+async function loadCheckpoint({ path, interval }) {
+  const { pathExists, readJSON, writeJSON } = await import("./fs.js")
+  /** @type {any} */
+  let saved = {}
+  if (await pathExists(path)) {
+    try {
+      saved = await readJSON(path)
+    } catch (error) {
+      // a checkpoint cut off by a crash is started over instead of blocking the rerun
+      // @ts-ignore Warning about error.code
+      if (!(error instanceof SyntaxError) && error.code !== "Z_BUF_ERROR") {
+        throw error
+      }
+    }
+  }
+  // position to { value } so that undefined values survive JSON
+  // a file that is valid JSON but not a checkpoint is also started over
+  const fulfilled = isObject(saved?.fulfilled) ? saved.fulfilled : {}
+  let lastTimestamp = now().getTime()
+  let saving = Promise.resolve()
+  const save = () => {
+    lastTimestamp = now().getTime()
+    saving = saving.then(() => writeJSON(path, { fulfilled }, { indent: 0, atomic: true }))
+    // a failed write is thrown when awaited at the end
+    saving.catch(() => {})
+    return saving
+  }
+  const wrap = (callback) => async (element, index, elements, position) => {
+    if (position in fulfilled) {
+      return fulfilled[position].value
+    }
+    const value = await callback(element, index, elements, position)
+    fulfilled[position] = { value }
+    if (now().getTime() - lastTimestamp >= interval) {
+      save()
+    }
+    return value
+  }
+  return { wrap, save }
+}
+
+// returns the number of elements in the iterable if it can be known without iterating
+function getKnownLength(iterable) {
+  const length = iterable?.length ?? iterable?.size
+  return typeof length === "number" ? length : undefined
+}
+
+/**
+ * Creates a function that can be used as allSettled()'s "onProgress" option to log progress.
+ * Logs at most once per interval, except that the call when every element has settled is always logged.
+ * @param {Object} $1
+ * @param {number=} $1.interval Minimum milliseconds between logs. Default is one second.
+ * @param {(message: string) => any=} $1.log Default is console.log
+ * @returns {(progress: MyUtil.Progress) => void}
+ */
+export function consoleProgress({ interval = 1000, log = console.log } = {}) {
+  let lastTimestamp = -Infinity
+  return ({ started, fulfilled, rejected, settled, total, done, elapsed, throughput, eta }) => {
+    const currentTimestamp = now().getTime()
+    if (!done && currentTimestamp - lastTimestamp < interval) {
+      return
+    }
+    lastTimestamp = currentTimestamp
+    const parts = [
+      `${settled}/${total ?? "?"} settled`,
+      `(${fulfilled} fulfilled, ${rejected} rejected, ${started - settled} in flight)`,
+      `${throughput.toFixed(1)}/s`,
+      `elapsed ${(elapsed / 1000).toFixed(1)}s`,
+    ]
+    if (eta !== undefined) {
+      parts.push(`eta ${(eta / 1000).toFixed(1)}s`)
+    }
+    log(parts.join(" "))
+  }
+}
+
+// returns allSettled()'s "group" option for each element, following the "key" conventions in array.js
+function getGroupKeys(elements, group) {
+  if (typeof group === "function") {
+    return elements.map(group)
+  }
+  return elements.map((element) => element[group])
+}
+
+// wraps allSettled()'s callback so that at most "limitPerGroup" calls run at once for each group key
+// calls beyond that wait for a call in the same group to settle
+function limitGroups(callback, { groupKeys, limitPerGroup, signal }) {
+  const semaphores = new Map()
+  return (element, index, elements, position) => {
+    const groupKey = groupKeys[position]
+    let semaphore = semaphores.get(groupKey)
+    if (!semaphore) {
+      semaphore = new Semaphore(limitPerGroup)
+      semaphores.set(groupKey, semaphore)
+    }
+    return semaphore.withPermit(() => callback(element, index, elements, position), { signal })
+  }
+}
+
+// runs callback on elements with at most "limit" calls in flight, starting a new call whenever one settles
+// if "groupKeys" is provided, at most "limitPerGroup" calls with the same group key are in flight;
+//  elements whose group is full are skipped until a call in that group settles
+// returns settled results in the same order as elements; elements not started due to "abort" are left as holes
+// with groupKeys, holes can come before started elements
+async function settlePool(
+  elements,
+  { limit = Infinity, limiter, abort, signal, groupKeys, limitPerGroup = Infinity },
+  callback
+) {
+  if (limit !== Infinity && (limit <= 0 || !Number.isInteger(limit))) {
+    throw new Error("limit must be a positive integer or Infinity")
+  }
+  const results = []
+  let nextIndex = 0
+  let failed = false
+  // set if a worker throws, i.e. from limiter, so that other workers stop starting calls
+  let stopped = false
+  // group key to number of calls in flight
+  const running = new Map()
+  // indices skipped because their group was full, in order
+  const skipped = []
+  // workers waiting for a call to settle because every remaining element's group is full
+  const waiters = []
+  const hasRoom = (index) => !groupKeys || (running.get(groupKeys[index]) ?? 0) < limitPerGroup
+  const takeIndex = () => {
+    const skippedPosition = skipped.findIndex(hasRoom)
+    if (skippedPosition >= 0) {
+      return skipped.splice(skippedPosition, 1)[0]
+    }
+    while (nextIndex < elements.length) {
+      const index = nextIndex++
+      if (hasRoom(index)) {
+        return index
+      }
+      skipped.push(index)
+    }
+    return undefined
+  }
+  const worker = async () => {
+    while (!stopped && !(abort && failed) && !signal?.aborted) {
+      try {
+        const index = takeIndex()
+        if (index === undefined) {
+          if (!skipped.length) {
+            break
+          }
+          await new Promise((resolve) => waiters.push(resolve))
+          continue
+        }
+        const groupKey = groupKeys?.[index]
+        running.set(groupKey, (running.get(groupKey) ?? 0) + 1)
+        try {
+          const value = await callback(elements[index], index, elements, index)
+          results[index] = { status: "fulfilled", value }
+        } catch (reason) {
+          results[index] = { status: "rejected", reason }
+          failed = true
+        }
+        running.set(groupKey, running.get(groupKey) - 1)
+        waiters.splice(0).forEach((resolve) => resolve())
+        if (abort && failed) {
+          break
+        }
+        await limiter?.(1)
+      } catch (error) {
+        stopped = true
+        waiters.splice(0).forEach((resolve) => resolve())
+        throw error
+      }
+    }
+  }
+  const workers = []
+  for (let i = 0; i < Math.min(limit, elements.length); i++) {
+    workers.push(worker())
+  }
+  await abortable(Promise.all(workers), signal)
+  return results
+}
+
 /**
  * Parallelize executions of a function using `Promise.allSettled()`.
  * This is useful because usually you want to set a limit to the number of parallel requests possible at once.
@@ -74,50 +1130,154 @@ export async function sleep(ms) {
  * @param {Iterable<T>=} $1.array
  * @param {Iterable<T>=} $1.iterable An alternative, more accurate property name for specifying "array"
  * @param {number=} $1.limit The number of calls to do in parallel. If not provided, each call is done in parallel.
- * @param {(count: number) => any=} $1.limiter A function awaited after a group of parallel calls is processed.
+ * @param {(count: number, options?: {signal?: AbortSignal}) => any=} $1.limiter A function awaited after a group of parallel calls is processed.
  *  It is called with the number of parallel calls processed. Could be as simple as `() => sleep(10000)` if you wanted to wait 10 seconds between.
+ *  If "signal" is provided, it is also called with `{ signal }`.
+ *  Because it runs after calls, it cannot hold back the first group; use "acquire" to enforce a rate limit.
+ * @param {(count: number, options?: {signal?: AbortSignal}) => any=} $1.acquire A function awaited before each call of callback
+ *  with a count of 1; the call does not start until it resolves, and is rejected if it rejects.
+ *  If "signal" is provided, it is also called with `{ signal }`. The "acquire" of tokenBucket() or slidingLogLimiter() from rate.js fits here.
+ *  Time spent waiting does not count toward "timeout".
  * @param {boolean=} $1.flatten If true, flattens "values" and "returned" before returning; useful if promises return arrays.
  *  `null` and `undefined` return values are passed through.
  * @param {boolean=} $1.abort If true, will return early if there are errors.
  *  If false (default), will process all elements in the array (like Promise.allSettled()).
  * @param {boolean=} $1.throws If true, will collect error messages, if any, together into one PromiseAllError object and throw it.
  *  Sets the PromiseAllError's stack from one of the collected errors, if available.
- * @param {MyUtil.Mapper<T, R>} callback Default is identity function to enable passing promises as "array".
+ *  The PromiseAllError has each error in "errors" and each error's input index and element in "failures".
+ * @param {boolean=} $1.pool If true, starts a new call as soon as any in-flight call settles so that "limit" calls are always running,
+ *  instead of waiting for a whole chunk of calls to settle. Results are still in the same order as the iterable.
+ *  In this mode, "limiter" is awaited after each call with a count of 1, and "abort" stops new calls from starting.
+ *  The callback is called with the index of the element in the iterable and an array of all elements.
+ * @param {AbortSignal=} $1.signal If aborted, stops starting new calls and rejects with the signal's reason without waiting for in-flight calls.
+ *  Also passed as the fourth argument to callback so it can cancel its own work.
+ * @param {number=} $1.timeout Milliseconds each call of callback may take before being rejected with a TimeoutError.
+ *  The signal passed to callback is aborted on timeout.
+ * @param {number=} $1.deadline Milliseconds the whole run may take. Once passed, in-flight calls and calls not yet started
+ *  are rejected with a TimeoutError, and the signal passed to callback is aborted.
+ * @param {((progress: MyUtil.Progress) => any)=} $1.onProgress Called each time a call settles with counts of
+ *  started, fulfilled, rejected, and settled calls; "total" (the number of elements if the iterable has "length" or "size");
+ *  "done" (whether every element has settled); "elapsed" milliseconds; "throughput" in calls settled per second; and "eta" in milliseconds if "total" is known.
+ *  See consoleProgress() for a ready-made reporter. If onProgress returns a promise, it is awaited before returning.
+ *  If onProgress throws or returns a promise that rejects, calls are still recorded as usual and
+ *  allSettled() rejects with the first such error once the run finishes.
+ * @param {string=} $1.checkpoint A path to a JSON file (compressed if it ends with .gz) that records fulfilled calls so a rerun can resume.
+ *  If the file exists, elements it records as fulfilled are not passed to callback again and their saved values are used instead;
+ *  rejected and unprocessed elements are called as usual. The iterable must yield the same elements in the same order each run
+ *  and fulfilled values must be JSON-serializable. The file is written as calls settle, at most once per "checkpointInterval",
+ *  and once more before returning or throwing. It is not deleted, so rerunning after success does not call callback at all.
+ * @param {number=} $1.checkpointInterval Minimum milliseconds between writes of the checkpoint file. Default is 10 seconds.
+ * @param {keyof T|MyUtil.Mapper<T>=} $1.group Used with "limitPerGroup" to group elements, e.g. by hostname or tenant.
+ *  If a function, calls the provided function on an element to get its group. If a string or number, uses element[group].
+ * @param {number=} $1.limitPerGroup The maximum number of calls in flight at once for each group, on top of "limit".
+ *  In "pool" mode, elements whose group is full are passed over so that calls for other groups can start.
+ *  If "abort" then stops the run, passed-over elements that never started are omitted like other unstarted elements,
+ *  so positions in "results" and "values" no longer match the iterable; the "failures" of a thrown PromiseAllError keep input indexes.
+ *  Otherwise, calls beyond the limit in a chunk wait for a call in the same group to settle.
+ * @param {(element: T, index: number, array: T[], signal?: AbortSignal) => R} callback
+ *  Default is identity function to enable passing promises as "array".
  * @returns {Promise<{results: Array<PromiseSettledResult<R>>, values: Array<R|undefined>, returned: Array<R>, errors: Array<any>}>}
  */
 export async function allSettled(
-  { array, iterable = array, limit, limiter, flatten = false, abort = false, throws = false },
+  {
+    array,
+    iterable = array,
+    limit,
+    limiter,
+    acquire = undefined,
+    flatten = false,
+    abort = false,
+    throws = false,
+    pool = false,
+    signal = undefined,
+    timeout = undefined,
+    deadline = undefined,
+    onProgress = undefined,
+    checkpoint = undefined,
+    checkpointInterval = 10 * 1000,
+    group = undefined,
+    limitPerGroup = Infinity,
+  },
   // @ts-ignore Doesn't understand that R can be T
   callback = (promise) => promise
 ) {
+  signal?.throwIfAborted()
+  if (limitPerGroup !== Infinity) {
+    if (limitPerGroup <= 0 || !Number.isInteger(limitPerGroup)) {
+      throw new Error("limitPerGroup must be a positive integer or Infinity")
+    }
+    if (group === undefined) {
+      throw new Error("group is required with limitPerGroup")
+    }
+  }
+  const total = getKnownLength(iterable)
+  // @ts-ignore Assume iterable exists
+  const inputs = [...iterable]
+  const groupKeys = limitPerGroup === Infinity ? undefined : getGroupKeys(inputs, group)
+  const checkpointing =
+    checkpoint === undefined
+      ? undefined
+      : await loadCheckpoint({ path: checkpoint, interval: checkpointInterval })
+  const calls = wrapCalls({ callback, limiter, acquire, signal, timeout, deadline })
+  if (checkpointing) {
+    calls.callback = checkpointing.wrap(calls.callback)
+  }
+  const progress = onProgress && trackProgress({ onProgress, total, count: inputs.length })
+  if (progress) {
+    calls.callback = progress.wrap(calls.callback)
+  }
+  if (groupKeys && !pool) {
+    calls.callback = limitGroups(calls.callback, { groupKeys, limitPerGroup, signal })
+  }
   const results = []
   let returned = []
   let values = []
   const errors = []
-  // @ts-ignore Assume iterable exists
-  const chunked = chunk(iterable, limit)
-  for (const elements of chunked) {
-    const promises = elements.map(callback)
-    const chunkResults = await Promise.allSettled(promises)
-    for (const result of chunkResults) {
-      // @ts-ignore Add undefined values if rejected
-      const { value, status, reason } = result
-      results.push(result)
-      values.push(value)
-      if (status === "fulfilled") {
-        returned.push(value)
-      } else {
-        errors.push(reason)
-      }
+  const failures = []
+  // index is the element's position in the iterable; elements skipped after an abort leave gaps
+  const record = (result, element, index) => {
+    const { value, status, reason } = result
+    results.push(result)
+    values.push(value)
+    if (status === "fulfilled") {
+      returned.push(value)
+    } else {
+      errors.push(reason)
+      failures.push({ index, element, error: reason })
     }
-    if (abort && errors.length) {
-      break
+  }
+  try {
+    if (pool) {
+      const options = { limit, limiter: calls.limiter, abort, signal, groupKeys, limitPerGroup }
+      const poolResults = await settlePool(inputs, options, calls.callback)
+      poolResults.forEach((result, index) => record(result, inputs[index], index))
+    } else {
+      const chunked = chunk(inputs, limit)
+      let position = 0
+      for (const elements of chunked) {
+        const offset = position
+        position += elements.length
+        const promises = elements.map((element, index) => {
+          // @ts-ignore Wrappers around callback take the position of the element in the iterable
+          return calls.callback(element, index, elements, offset + index)
+        })
+        const chunkResults = await abortable(Promise.allSettled(promises), signal)
+        chunkResults.forEach((result, index) => record(result, elements[index], offset + index))
+        if (abort && errors.length) {
+          break
+        }
+        await abortable(calls.limiter?.(elements.length), signal)
+        signal?.throwIfAborted()
+      }
     }
-    await limiter?.(elements.length)
+  } finally {
+    calls.clear()
+    await checkpointing?.save()
   }
+  await progress?.finish()
   if (throws && errors.length) {
     const string = errors.map((error) => error?.message ?? error).join("; ")
-    const resultError = new PromiseAllError(string)
+    const resultError = new PromiseAllError(string, failures)
     const { stack } = errors.find((error) => error?.stack) ?? {}
     if (stack) {
       resultError.stack = stack
@@ -132,6 +1292,427 @@ export async function allSettled(
   return { values, returned, errors, results }
 }
 
+/**
+ * Lazily maps an iterable or async iterable with a limited number of calls in flight, yielding each result as it settles.
+ * Unlike allSettled(), does not need the whole input up front or hold all results in memory.
+ * Applies backpressure: no more than "limit" elements are pulled from the iterable but not yet yielded,
+ *  so the next element is not pulled until the consumer takes a result.
+ * If the consumer stops early (i.e. with `break`), the iterable's return() method is called if it has one.
+ * @template T
+ * @template R
+ * @param {Iterable<T>|AsyncIterable<T>} iterable
+ * @param {Object} $1
+ * @param {number} $1.limit The maximum number of elements that are in flight or waiting to be yielded; must be a positive integer
+ * @param {boolean=} $1.ordered If true, yields results in the same order as the iterable. Default is false (completion order).
+ * @param {AbortSignal=} $1.signal If aborted, stops pulling elements and throws the signal's reason.
+ *  If aborted while waiting for the iterable's next element, throws without waiting for the iterable's return().
+ *  Also passed as the third argument to callback.
+ * @param {(element: T, index: number, signal?: AbortSignal) => R|Promise<R>} callback
+ * @returns {AsyncGenerator<({status: "fulfilled", value: R}|{status: "rejected", reason: any}) & {index: number}>}
+ *  Settled results similar to Promise.allSettled() with the index of the element in the iterable.
+ */
+export async function* mapConcurrent(
+  iterable,
+  { limit, ordered = false, signal = undefined },
+  callback
+) {
+  if (!(limit > 0) || !Number.isInteger(limit)) {
+    throw new Error("limit must be a positive integer")
+  }
+  signal?.throwIfAborted()
+  const iterator =
+    typeof iterable?.[Symbol.asyncIterator] === "function"
+      ? iterable[Symbol.asyncIterator]()
+      : iterable[Symbol.iterator]()
+  // index of element to settled result promise
+  const pending = new Map()
+  let nextIndex = 0
+  let yieldIndex = 0
+  let done = false
+  // whether iterator.next() has been called and not yet settled
+  let pulling = false
+  try {
+    while (true) {
+      while (!done && pending.size < limit) {
+        pulling = true
+        const next = await abortable(iterator.next(), signal)
+        pulling = false
+        if (next.done) {
+          done = true
+          break
+        }
+        const index = nextIndex++
+        const element = next.value
+        const promise = new Promise((resolve) => {
+          resolve(signal ? callback(element, index, signal) : callback(element, index))
+        }).then(
+          (value) => ({ status: "fulfilled", value, index }),
+          (reason) => ({ status: "rejected", reason, index })
+        )
+        pending.set(index, promise)
+      }
+      if (!pending.size) {
+        return
+      }
+      const next = ordered ? pending.get(yieldIndex) : Promise.race(pending.values())
+      const result = await abortable(next, signal)
+      pending.delete(result.index)
+      yieldIndex++
+      yield result
+    }
+  } finally {
+    if (!done && pulling) {
+      // return() on an async generator waits for the pending next(), which may never settle, so don't wait for it
+      new Promise((resolve) => resolve(iterator.return?.())).catch(() => {})
+    } else if (!done) {
+      await iterator.return?.()
+    }
+  }
+}
+
+/**
+ * Memoizes an async function. Concurrent calls with the same key share one in-flight promise.
+ * Resolved values are cached for "ttl" milliseconds, as measured by now() from time.js so that setNow() can control expiry.
+ * @template R
+ * @param {(...args: any[]) => R|Promise<R>} fn
+ * @param {Object} $1
+ * @param {((...args: any[]) => any)=} $1.key Computes the cache key from the arguments. Default is the first argument.
+ * @param {number=} $1.ttl Milliseconds a settled result is cached for. Default is Infinity.
+ * @param {number=} $1.maxSize The maximum number of keys to cache. The least recently used key is evicted first. Default is Infinity.
+ * @param {boolean=} $1.cacheRejections If true, rejections are cached like resolved values.
+ *  If false (default), a rejection is shared by concurrent calls but the next call tries again.
+ * @returns {((...args: any[]) => Promise<R>) & {clear: () => void, delete: (...args: any[]) => boolean}}
+ *  The memoized function, which also has "clear" to empty the cache and "delete" to remove the key for the given arguments.
+ */
+export function memoizeAsync(
+  fn,
+  { key = (...args) => args[0], ttl = Infinity, maxSize = Infinity, cacheRejections = false } = {}
+) {
+  // key to { promise, expires }; expires is undefined while in flight
+  // Map iterates in insertion order, so re-inserting on use keeps the least recently used key first
+  const cache = new Map()
+  const memoized = (...args) => {
+    const cacheKey = key(...args)
+    const entry = cache.get(cacheKey)
+    cache.delete(cacheKey)
+    if (entry && (entry.expires === undefined || now().getTime() < entry.expires)) {
+      cache.set(cacheKey, entry)
+      return entry.promise
+    }
+    const promise = new Promise((resolve) => {
+      resolve(fn(...args))
+    })
+    /** @type {{promise: Promise<any>, expires: number|undefined}} */
+    const newEntry = { promise, expires: undefined }
+    cache.set(cacheKey, newEntry)
+    if (cache.size > maxSize) {
+      cache.delete(cache.keys().next().value)
+    }
+    promise.then(
+      () => {
+        newEntry.expires = now().getTime() + ttl
+      },
+      () => {
+        if (cacheRejections) {
+          newEntry.expires = now().getTime() + ttl
+        } else if (cache.get(cacheKey) === newEntry) {
+          cache.delete(cacheKey)
+        }
+      }
+    )
+    return promise
+  }
+  memoized.clear = () => cache.clear()
+  memoized.delete = (...args) => cache.delete(key(...args))
+  return memoized
+}
+
+/**
+ * Creates a loader that coalesces individual loads into calls to a batch function.
+ * Loads made within "maxDelayMs" of the first pending load are passed to batchFn together, in chunks of "maxBatchSize".
+ * Results are cached by key so that loading the same key again shares the same promise; rejections are not cached.
+ * @template K, R
+ * @param {(keys: Array<K>) => Array<R|Error>|Promise<Array<R|Error>>} batchFn
+ *  Must return one result per key, in the same order as keys. A result that is an Error rejects the load for that key.
+ *  If batchFn throws, the loads for all keys passed to it reject.
+ * @param {Object} $1
+ * @param {number=} $1.maxBatchSize The maximum number of keys passed to batchFn at once. Default is Infinity.
+ * @param {number=} $1.maxDelayMs Milliseconds to wait after the first pending load before calling batchFn.
+ *  Default is 0, which batches loads made in the same tick.
+ * @param {((key: K) => any)=} $1.key Computes the cache key from the key passed to load(). Default is the key itself.
+ * @returns {((key: K) => Promise<R>) & {clear: () => void, delete: (key: K) => boolean}}
+ *  The load function, which also has "clear" to empty the cache and "delete" to remove the given key.
+ */
+export function batchLoader(
+  batchFn,
+  { maxBatchSize = Infinity, maxDelayMs = 0, key = (k) => k } = {}
+) {
+  if (maxBatchSize !== Infinity && (maxBatchSize <= 0 || !Number.isInteger(maxBatchSize))) {
+    throw new Error("maxBatchSize must be a positive integer or Infinity")
+  }
+  const cache = new Map()
+  // loads waiting for the next dispatch: { key, resolve, reject }
+  let queue = []
+  const dispatchBatch = async (batch) => {
+    try {
+      const results = await batchFn(batch.map((item) => item.key))
+      if (!Array.isArray(results) || results.length !== batch.length) {
+        throw new Error("batchFn must return an array with one result per key")
+      }
+      batch.forEach((item, i) => {
+        if (results[i] instanceof Error) {
+          item.reject(results[i])
+        } else {
+          item.resolve(results[i])
+        }
+      })
+    } catch (error) {
+      batch.forEach((item) => item.reject(error))
+    }
+  }
+  const dispatch = () => {
+    const batches = chunk(queue, maxBatchSize)
+    queue = []
+    batches.forEach(dispatchBatch)
+  }
+  const load = (k) => {
+    const cacheKey = key(k)
+    const cached = cache.get(cacheKey)
+    if (cached) {
+      return cached
+    }
+    const promise = new Promise((resolve, reject) => {
+      queue.push({ key: k, resolve, reject })
+      if (queue.length === 1) {
+        timers.setTimeout(dispatch, maxDelayMs)
+      }
+    })
+    cache.set(cacheKey, promise)
+    promise.catch(() => {
+      if (cache.get(cacheKey) === promise) {
+        cache.delete(cacheKey)
+      }
+    })
+    return promise
+  }
+  load.clear = () => cache.clear()
+  load.delete = (k) => cache.delete(key(k))
+  return load
+}
+
+/**
+ * Wraps an async function with a circuit breaker so that calls fail fast while a dependency is failing.
+ *  - "closed": Calls go through. After "failureThreshold" consecutive failures, the circuit opens.
+ *  - "open": Calls reject immediately with a CircuitOpenError. After "resetTimeout" milliseconds, the next call half-opens the circuit.
+ *  - "half-open": Up to "halfOpenMax" trial calls go through and any others reject with a CircuitOpenError.
+ *    If all trial calls succeed, the circuit closes. If any fails, the circuit opens again.
+ * Outcomes of calls started before the latest state change are ignored.
+ * @template R
+ * @param {(...args: any[]) => R|Promise<R>} fn
+ * @param {Object} $1
+ * @param {number=} $1.failureThreshold Consecutive failures that open the circuit. Default is 5.
+ * @param {number=} $1.resetTimeout Milliseconds to stay open before allowing trial calls. Default is one minute.
+ * @param {number=} $1.halfOpenMax The number of trial calls allowed when half-open. Default is 1.
+ * @param {((state: string, previousState: string) => any)=} $1.onStateChange Called whenever the state changes.
+ *  Errors it throws (or promises it returns that reject) are ignored so that they do not change the outcome of a call.
+ * @returns {((...args: any[]) => Promise<R>) & {readonly state: string}}
+ *  The wrapped function, which also has the current "state".
+ */
+export function circuitBreaker(
+  fn,
+  { failureThreshold = 5, resetTimeout = 1000 * 60, halfOpenMax = 1, onStateChange } = {}
+) {
+  let state = "closed"
+  // incremented on each state change so that stale outcomes can be ignored
+  let generation = 0
+  let failures = 0
+  let trials = 0
+  let successes = 0
+  let openTimestamp = 0
+  const transition = (newState) => {
+    const previousState = state
+    state = newState
+    generation++
+    failures = 0
+    trials = 0
+    successes = 0
+    if (newState === "open") {
+      openTimestamp = now().getTime()
+    }
+    // a listener must not change the outcome of the call that caused the state change
+    try {
+      Promise.resolve(onStateChange?.(newState, previousState)).catch(() => {})
+    } catch {
+      // ignored like a rejection above
+    }
+  }
+  const call = async (...args) => {
+    if (state === "open" && now().getTime() - openTimestamp >= resetTimeout) {
+      transition("half-open")
+    }
+    if (state === "open" || (state === "half-open" && trials >= halfOpenMax)) {
+      throw new CircuitOpenError("circuit is open")
+    }
+    if (state === "half-open") {
+      trials++
+    }
+    const callGeneration = generation
+    let result
+    try {
+      result = await fn(...args)
+    } catch (error) {
+      if (callGeneration === generation) {
+        failures++
+        if (state === "half-open" || failures >= failureThreshold) {
+          transition("open")
+        }
+      }
+      throw error
+    }
+    if (callGeneration === generation) {
+      failures = 0
+      if (state === "half-open") {
+        successes++
+        if (successes >= halfOpenMax) {
+          transition("closed")
+        }
+      }
+    }
+    return result
+  }
+  Object.defineProperty(call, "state", { get: () => state })
+  return call
+}
+
+// higher priority first, then first added
+function compareJobs(a, b) {
+  return a.priority - b.priority || b.sequence - a.sequence
+}
+
+/**
+ * A queue that runs tasks as they are added with a limited number running at once.
+ * Tasks with a higher priority start before tasks with a lower priority; tasks with the same priority start in the order added.
+ */
+export class JobQueue {
+  #heap = []
+  #sequence = 0
+  #pending = 0
+  #concurrency
+  #paused
+  #idleWaiters = []
+  #drainWaiters = []
+
+  /**
+   * @param {Object} $1
+   * @param {number=} $1.concurrency The maximum number of tasks running at once. Default is Infinity.
+   * @param {boolean=} $1.paused If true, does not start tasks until resume() is called. Default is false.
+   */
+  constructor({ concurrency = Infinity, paused = false } = {}) {
+    if (concurrency !== Infinity && (concurrency <= 0 || !Number.isInteger(concurrency))) {
+      throw new Error("concurrency must be a positive integer or Infinity")
+    }
+    this.#concurrency = concurrency
+    this.#paused = paused
+  }
+
+  /**
+   * Adds a task to the queue.
+   * @template R
+   * @param {() => R|Promise<R>} task
+   * @param {Object} $1
+   * @param {number=} $1.priority Default is 0.
+   * @returns {Promise<R>} Settles like the task once it runs
+   */
+  add(task, { priority = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      const job = { task, priority, sequence: this.#sequence++, resolve, reject }
+      heapPush(this.#heap, job, compareJobs)
+      this.#next()
+    })
+  }
+
+  /**
+   * Stops starting tasks. Tasks that are already running are not affected.
+   */
+  pause() {
+    this.#paused = true
+  }
+
+  /**
+   * Starts tasks again after pause().
+   */
+  resume() {
+    this.#paused = false
+    this.#next()
+  }
+
+  /**
+   * Resolves once no tasks are waiting to start, although some may still be running.
+   * @returns {Promise<void>}
+   */
+  onDrain() {
+    if (!this.#heap.length) {
+      return Promise.resolve()
+    }
+    return new Promise((resolve) => this.#drainWaiters.push(resolve))
+  }
+
+  /**
+   * Resolves once no tasks are waiting to start or running.
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (!this.#heap.length && !this.#pending) {
+      return Promise.resolve()
+    }
+    return new Promise((resolve) => this.#idleWaiters.push(resolve))
+  }
+
+  /**
+   * The number of tasks waiting to start.
+   * @returns {number}
+   */
+  get size() {
+    return this.#heap.length
+  }
+
+  /**
+   * The number of tasks running.
+   * @returns {number}
+   */
+  get pending() {
+    return this.#pending
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get isPaused() {
+    return this.#paused
+  }
+
+  #next() {
+    while (!this.#paused && this.#pending < this.#concurrency && this.#heap.length) {
+      const job = heapPop(this.#heap, compareJobs)
+      this.#pending++
+      new Promise((resolve) => {
+        resolve(job.task())
+      })
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.#pending--
+          this.#next()
+        })
+    }
+    if (!this.#heap.length) {
+      this.#drainWaiters.splice(0).forEach((resolve) => resolve())
+      if (!this.#pending) {
+        this.#idleWaiters.splice(0).forEach((resolve) => resolve())
+      }
+    }
+  }
+}
+
 /**
  * Parallelize awaiting an array of promises using `Promise.allSettled()` but throw if an error, similar to Promise.all().
  * Also like Promise.all(), returns the return values of passed promises as an array.
@@ -140,10 +1721,79 @@ export async function allSettled(
  * @param {Array<Promise<T>>} promises
  * @param {Object} $1
  * @param {boolean=} $1.flatten If true, flattens values before returning; useful if promises return arrays.
+ * @param {AbortSignal=} $1.signal If aborted, rejects with the signal's reason without waiting for the promises.
  * @returns {Promise<Array<T>>}
  */
-export async function allPatiently(promises, { flatten } = {}) {
-  return (await allSettled({ iterable: promises, flatten, throws: true })).returned
+export async function allPatiently(promises, { flatten, signal } = {}) {
+  return (await allSettled({ iterable: promises, flatten, throws: true, signal })).returned
+}
+
+/**
+ * Like allSettled() but for an object whose values are promises or functions, returning outcomes by key.
+ * This avoids relying on position when awaiting different kinds of work in parallel.
+ * @template {Record<string, any>} O
+ * @param {O} object Each value may be a promise or a function that is called (with a signal if "signal" is provided)
+ *  to start work. Only functions respect "limit" since a promise has already started.
+ *  A promise is still awaited in its turn, but one that rejects before then is not reported as an unhandled rejection.
+ * @param {Object} $1
+ * @param {number=} $1.limit The number of values to await in parallel. If not provided, all are awaited in parallel.
+ * @param {boolean=} $1.throws If true and any value rejects, throws a PromiseAllError like allSettled().
+ *  Each of its "failures" has the key as its "element".
+ * @param {AbortSignal=} $1.signal If aborted, rejects with the signal's reason. Also passed to each function.
+ * @returns {Promise<{
+ *  values: {[K in keyof O]?: Awaited<O[K] extends (...args: any[]) => infer R ? R : O[K]>},
+ *  errors: {[K in keyof O]?: any},
+ *  results: {[K in keyof O]: PromiseSettledResult<any>}
+ * }>}
+ *  "values" has the resolved value for each key (undefined if rejected), "errors" has the reason for each key that rejected,
+ *  and "results" has each outcome in the same form as Promise.allSettled().
+ */
+export async function allSettledProps(object, { limit, throws = false, signal = undefined } = {}) {
+  const keys = Object.keys(object)
+  // with "limit", a promise may reject before its turn to be awaited
+  for (const value of Object.values(object)) {
+    if (typeof value !== "function") {
+      Promise.resolve(value).catch(() => {})
+    }
+  }
+  const start = (key, index, array, callSignal) => {
+    const value = object[key]
+    if (typeof value !== "function") {
+      return value
+    }
+    return callSignal ? value(callSignal) : value()
+  }
+  const { results } = await allSettled({ array: keys, limit, throws, signal }, start)
+  const values = {}
+  const errors = {}
+  const resultsByKey = {}
+  results.forEach((result, index) => {
+    const key = keys[index]
+    resultsByKey[key] = result
+    if (result.status === "fulfilled") {
+      values[key] = result.value
+    } else {
+      values[key] = undefined
+      errors[key] = result.reason
+    }
+  })
+  // @ts-ignore Doesn't understand objects built by key
+  return { values, errors, results: resultsByKey }
+}
+
+/**
+ * Like allPatiently() but for an object whose values are promises or functions; see allSettledProps().
+ * Throws a PromiseAllError if any value rejects, otherwise returns the resolved values by key.
+ * @template {Record<string, any>} O
+ * @param {O} object
+ * @param {Object} $1
+ * @param {number=} $1.limit The number of values to await in parallel. If not provided, all are awaited in parallel.
+ * @param {AbortSignal=} $1.signal If aborted, rejects with the signal's reason. Also passed to each function.
+ * @returns {Promise<{[K in keyof O]: Awaited<O[K] extends (...args: any[]) => infer R ? R : O[K]>}>}
+ */
+export async function allProps(object, { limit, signal } = {}) {
+  // @ts-ignore Values are all defined when nothing rejects
+  return (await allSettledProps(object, { limit, throws: true, signal })).values
 }
 
 /**
@@ -152,34 +1802,117 @@ export async function allPatiently(promises, { flatten } = {}) {
  * @param {Object} $1
  * @param {number} $1.limit The maximum number of elements to be processed in the interval
  * @param {number=} $1.interval The length of the interval in milliseconds. Default is one minute.
- * @returns {(added: number) => Promise<void>} Returned function expects to be called with the number of elements added since last call.
+ * @returns {(added: number, options?: {signal?: AbortSignal}) => Promise<void>}
+ *  Returned function expects to be called with the number of elements added since last call.
+ *  If its "signal" is aborted while waiting, clears the timer and rejects with the signal's reason.
  */
 export function intervalLimiter({ limit, interval = 1000 * 60 }) {
   let count = 0
-  let startTimestamp = Date.now()
-  return async (added) => {
+  let startTimestamp = now().getTime()
+  return async (added, { signal = undefined } = {}) => {
     count += added
     if (count >= limit) {
-      const currentTimestamp = Date.now()
-      await sleep(interval - (currentTimestamp - startTimestamp))
-      startTimestamp = Date.now()
+      const currentTimestamp = now().getTime()
+      await sleep(interval - (currentTimestamp - startTimestamp), { signal })
+      startTimestamp = now().getTime()
       count = 0
     }
   }
 }
 
+// expands AggregateErrors (including PromiseAllErrors) into the errors they contain
+function flattenErrors(errors, seen = new Set()) {
+  return errors.flatMap((error) => {
+    if (!(error instanceof AggregateError) || seen.has(error)) {
+      return [error]
+    }
+    seen.add(error)
+    return flattenErrors(error.errors, seen)
+  })
+}
+
+// returns the string form of each error in error's chain of causes, stopping if the chain loops
+// also used by PromiseAllError's toString()
+function getCauses(error) {
+  const causes = []
+  const seen = new Set([error])
+  let cause = error?.cause
+  while (cause !== undefined && !seen.has(cause)) {
+    causes.push(String(cause))
+    seen.add(cause)
+    cause = cause?.cause
+  }
+  return causes
+}
+
+// groups errors for formatErrors(); see its description
+function buildErrorReport(errors, { stacks }) {
+  const groups = new Map()
+  const flattened = flattenErrors(errors)
+  for (const error of flattened) {
+    const message = String(error)
+    const causes = getCauses(error)
+    const groupKey = JSON.stringify([message, causes])
+    const group = groups.get(groupKey)
+    if (group) {
+      group.count++
+    } else {
+      const hasStack = groups.size < stacks && typeof error?.stack === "string"
+      groups.set(groupKey, { message, causes, count: 1, stack: hasStack ? error.stack : undefined })
+    }
+  }
+  /** @type {MyUtil.ErrorReport} */
+  const report = { count: flattened.length, groups: [...groups.values()] }
+  return report
+}
+
+// formats a report from buildErrorReport() as text
+function formatErrorReport({ count, groups }) {
+  const lines = [`${count} error(s), ${groups.length} unique:`]
+  for (const group of groups) {
+    lines.push(`  ${group.count}x ${group.message}`)
+    for (const cause of group.causes) {
+      lines.push(`    caused by: ${cause}`)
+    }
+    // the first line of a stack repeats the message
+    for (const line of group.stack?.split("\n").slice(1) ?? []) {
+      lines.push(`    ${line.trim()}`)
+    }
+  }
+  return lines.join("\n")
+}
+
+/**
+ * Summarizes errors by grouping those with the same message and chain of causes, so that many copies of one error
+ * do not hide a different one. AggregateErrors, such as a PromiseAllError, are expanded into the errors they contain.
+ * @param {Array<any>} errors
+ * @param {Object} $1
+ * @param {number=} $1.stacks The number of groups, in order of first occurrence, that include the stack of their first error.
+ *  Default is 3.
+ * @param {"text"|"object"=} $1.format If "text" (default), returns a string with a line for each group
+ *  followed by its causes and stack. If "object", returns the report as an object.
+ * @returns {string|MyUtil.ErrorReport}
+ */
+export function formatErrors(errors, { stacks = 3, format = "text" } = {}) {
+  const report = buildErrorReport(errors, { stacks })
+  return format === "object" ? report : formatErrorReport(report)
+}
+
 /**
  * A convenience method to throw the result of allSettled().
  * Useful in testing contexts when simply propagating the error is enough.
  * @param {Object} result An object with an "errors" property i.e. awaited return value of allSettled()
+ * @param {Object} $1
+ * @param {number=} $1.stacks Passed to formatErrors(). Default is 3.
  * @returns {Object} result
+ * @throws {AlertError} If there are errors. Its message is the text from formatErrors(), its "report" is the object from
+ *  formatErrors(), and its "errors" are the errors.
  */
-export function alert(result) {
+export function alert(result, { stacks = 3 } = {}) {
   const { errors } = result ?? {}
   if (errors && errors.length) {
-    // coerce errors to strings since sometimes .stringify() won't do this for Error objects
-    const strings = errors.map((error) => error.toString())
-    throw new Error(JSON.stringify(strings, undefined, 2))
+    const report = buildErrorReport(errors, { stacks })
+    throw new AlertError(errors, formatErrorReport(report), report)
   }
   return result
 }
@@ -1,21 +1,51 @@
 /* eslint-disable prefer-promise-reject-errors */
-import { describe, expect, it, vi } from "vitest"
+import { mkdtemp, readdir, readFile, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { gunzipSync, gzipSync } from "node:zlib"
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
 
 // Exported API under test:
-// - classes: PollError, PromiseAllError
-// - functions: poll, sleep, allSettled, allPatiently, intervalLimiter, alert, throwFirstReject
+// - classes: PollError, PromiseAllError, RetryError, TimeoutError, CircuitOpenError, AlertError, JobQueue, Semaphore,
+//   Mutex, Barrier, Latch, Deferred
+// - functions: poll, retry, sleep, sleepUntil, every, withTimeout, allSettled, consoleProgress, mapConcurrent, memoizeAsync,
+//   batchLoader, circuitBreaker, allPatiently, allSettledProps, allProps, intervalLimiter, formatErrors, alert,
+//   throwFirstReject
 
 import {
   alert,
+  AlertError,
   allPatiently,
+  allProps,
   allSettled,
+  allSettledProps,
+  Barrier,
+  batchLoader,
+  circuitBreaker,
+  CircuitOpenError,
+  consoleProgress,
+  Deferred,
+  every,
+  formatErrors,
   intervalLimiter,
+  JobQueue,
+  Latch,
+  mapConcurrent,
+  memoizeAsync,
+  Mutex,
   poll,
   PollError,
   PromiseAllError,
+  retry,
+  RetryError,
+  Semaphore,
   sleep,
+  sleepUntil,
   throwFirstReject,
+  TimeoutError,
+  withTimeout,
 } from "./promise.js"
+import { createVirtualClock, setNow, setTimers } from "./time.js"
 
 describe("poll", () => {
   it("resolves immediately if callback returns a non-undefined/null/false value", async () => {
@@ -105,6 +135,259 @@ describe("poll", () => {
   })
 })
 
+describe("poll with signal", () => {
+  it("rejects with the signal's reason and stops calling callback when aborted", async () => {
+    const controller = new AbortController()
+    const cb = vi.fn().mockReturnValue(null)
+    const promise = poll({ ms: 2, signal: controller.signal }, cb)
+    await sleep(5)
+    const reason = new Error("stop")
+    controller.abort(reason)
+    await expect(promise).rejects.toBe(reason)
+    const calls = cb.mock.calls.length
+    await sleep(6)
+    expect(cb).toHaveBeenCalledTimes(calls)
+  })
+
+  it("rejects immediately without calling callback if already aborted", async () => {
+    const cb = vi.fn()
+    const signal = AbortSignal.abort("reason")
+    await expect(poll({ ms: 1, signal }, cb)).rejects.toBe("reason")
+    expect(cb).not.toHaveBeenCalled()
+  })
+
+  it("clears the initial wait timer when aborted", async () => {
+    const controller = new AbortController()
+    const cb = vi.fn().mockReturnValue(1)
+    const promise = poll({ ms: 1, wait: 5, signal: controller.signal }, cb)
+    controller.abort("reason")
+    await expect(promise).rejects.toBe("reason")
+    await sleep(8)
+    expect(cb).not.toHaveBeenCalled()
+  })
+
+  it("passes signal to callback", async () => {
+    const controller = new AbortController()
+    const cb = vi.fn().mockReturnValue(1)
+    await poll({ ms: 1, signal: controller.signal }, cb)
+    expect(cb).toHaveBeenCalledWith(0, controller.signal)
+  })
+
+  it("does not call callback again if aborted while callback is running", async () => {
+    const controller = new AbortController()
+    const cb = vi.fn(async () => {
+      controller.abort("reason")
+      return null
+    })
+    await expect(poll({ ms: 1, signal: controller.signal }, cb)).rejects.toBe("reason")
+    await sleep(3)
+    expect(cb).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe("poll with options", () => {
+  const clock = createVirtualClock({ start: new Date("2024-01-01T00:00:00Z") })
+  afterEach(() => clock.uninstall())
+
+  it("resolves when isDone returns true", async () => {
+    const statuses = ["RUNNING", "RUNNING", "SUCCEEDED"]
+    const cb = vi.fn((i) => statuses[i])
+    const result = await poll({ ms: 1, isDone: (status) => status !== "RUNNING" }, cb)
+    expect(result).toBe("SUCCEEDED")
+    expect(cb).toHaveBeenCalledTimes(3)
+  })
+
+  it("waits according to a function of the attempt index", async () => {
+    clock.install()
+    const cb = vi.fn().mockReturnValueOnce(null).mockReturnValueOnce(null).mockReturnValue(1)
+    const promise = poll({ ms: (i) => (i + 1) * 100 }, cb)
+    await clock.advance(99)
+    expect(cb).toHaveBeenCalledTimes(1)
+    await clock.advance(1)
+    expect(cb).toHaveBeenCalledTimes(2)
+    await clock.advance(199)
+    expect(cb).toHaveBeenCalledTimes(2)
+    await clock.advance(1)
+    await expect(promise).resolves.toBe(1)
+  })
+
+  it("backs off exponentially up to max", async () => {
+    clock.install()
+    const times = []
+    const cb = vi.fn(() => {
+      times.push(clock.now().getTime())
+      return times.length === 5 ? "done" : null
+    })
+    const promise = poll({ ms: { initial: 10, multiplier: 3, max: 50 } }, cb)
+    await clock.runAll()
+    await expect(promise).resolves.toBe("done")
+    const gaps = times.slice(1).map((time, i) => time - times[i])
+    expect(gaps).toEqual([10, 30, 50, 50])
+  })
+
+  it("waits the first delay initially if wait is true", async () => {
+    clock.install()
+    const cb = vi.fn().mockReturnValue(1)
+    const promise = poll({ ms: { initial: 20 }, wait: true }, cb)
+    await clock.advance(19)
+    expect(cb).not.toHaveBeenCalled()
+    await clock.advance(1)
+    await expect(promise).resolves.toBe(1)
+  })
+
+  it("rejects with a PollError after timeout and stops calling callback", async () => {
+    clock.install()
+    const cb = vi.fn().mockReturnValue(null)
+    const promise = poll({ ms: 10, timeout: 35 }, cb)
+    const assertion = expect(promise).rejects.toThrow(new PollError("timed out"))
+    await clock.advance(35)
+    await assertion
+    expect(cb).toHaveBeenCalledTimes(4)
+    await clock.advance(100)
+    expect(cb).toHaveBeenCalledTimes(4)
+  })
+
+  it("calls onAttempt with each result and onError with each error", async () => {
+    const error = new Error("flaky")
+    const cb = vi.fn().mockRejectedValueOnce(error).mockResolvedValueOnce(null).mockResolvedValue(2)
+    const onAttempt = vi.fn()
+    const onError = vi.fn()
+    const result = await poll({ ms: 1, ignoreErrors: true, onAttempt, onError }, cb)
+    expect(result).toBe(2)
+    expect(onError.mock.calls).toEqual([[error, 0]])
+    expect(onAttempt.mock.calls).toEqual([
+      [null, 1],
+      [2, 2],
+    ])
+  })
+
+  it("rejects with the callback's error unless ignoreErrors is true", async () => {
+    const error = new Error("fail")
+    const onError = vi.fn()
+    await expect(poll({ ms: 1, onError }, () => Promise.reject(error))).rejects.toBe(error)
+    expect(onError).toHaveBeenCalledWith(error, 0)
+  })
+
+  it("uses the last error as the cause when attempts run out while ignoring errors", async () => {
+    const cb = vi.fn((i) => Promise.reject(new Error(`fail ${i}`)))
+    const error = await poll({ ms: 1, attempts: 3, ignoreErrors: true }, cb).catch((e) => e)
+    expect(error).toBeInstanceOf(PollError)
+    expect(error.message).toBe("max attempts reached")
+    expect(error.cause.message).toBe("fail 2")
+  })
+
+  it("rejects if a hook throws", async () => {
+    const error = new Error("hook")
+    const onAttempt = () => {
+      throw error
+    }
+    await expect(poll({ ms: 1, onAttempt }, () => null)).rejects.toBe(error)
+  })
+})
+
+describe("retry", () => {
+  it("resolves immediately if callback succeeds", async () => {
+    const cb = vi.fn().mockResolvedValue(42)
+    await expect(retry({ delay: 1 }, cb)).resolves.toBe(42)
+    expect(cb).toHaveBeenCalledTimes(1)
+    expect(cb).toHaveBeenCalledWith(0)
+  })
+
+  it("retries until callback succeeds", async () => {
+    const cb = vi.fn()
+      .mockRejectedValueOnce(new Error("a"))
+      .mockRejectedValueOnce(new Error("b"))
+      .mockResolvedValueOnce("ok")
+    await expect(retry({ delay: 1 }, cb)).resolves.toBe("ok")
+    expect(cb.mock.calls.map((args) => args[0])).toEqual([0, 1, 2])
+  })
+
+  it("throws RetryError with every attempt's error when attempts are exhausted", async () => {
+    const errors = [new Error("a"), new Error("b"), new Error("c")]
+    const cb = vi.fn((attemptIndex) => {
+      throw errors[attemptIndex]
+    })
+    const promise = retry({ attempts: 3, delay: 1 }, cb)
+    await expect(promise).rejects.toBeInstanceOf(RetryError)
+    await expect(promise).rejects.toThrow("max attempts reached")
+    await expect(promise).rejects.toMatchObject({ errors, cause: errors[2] })
+    expect(cb).toHaveBeenCalledTimes(3)
+  })
+
+  it("stops retrying if isRetryable returns false", async () => {
+    const fatal = new Error("fatal")
+    const cb = vi.fn()
+      .mockRejectedValueOnce(new Error("transient"))
+      .mockRejectedValueOnce(fatal)
+    const isRetryable = vi.fn((error) => error !== fatal)
+    const promise = retry({ attempts: 5, delay: 1, isRetryable }, cb)
+    await expect(promise).rejects.toThrow("error is not retryable")
+    await expect(promise).rejects.toMatchObject({ cause: fatal })
+    expect(cb).toHaveBeenCalledTimes(2)
+    expect(isRetryable.mock.calls.map((args) => args[1])).toEqual([0, 1])
+  })
+
+  it("rejects if attempts is not a positive integer without calling callback", async () => {
+    const cb = vi.fn()
+    for (const attempts of [0, -1, 1.5]) {
+      await expect(retry({ attempts }, cb)).rejects.toThrow("attempts must be a positive integer")
+    }
+    expect(cb).not.toHaveBeenCalled()
+  })
+
+  it("calls onRetry with error, attempt index and exponential delay when jitter=false", async () => {
+    const error = new Error("fail")
+    const cb = vi.fn().mockRejectedValue(error)
+    const onRetry = vi.fn()
+    const options = { attempts: 4, delay: 1, factor: 3, jitter: false, onRetry }
+    await expect(retry(options, cb)).rejects.toThrow(RetryError)
+    expect(onRetry.mock.calls).toEqual([
+      [error, 0, 1],
+      [error, 1, 3],
+      [error, 2, 9],
+    ])
+  })
+
+  it("caps delay at maxDelay", async () => {
+    const cb = vi.fn().mockRejectedValue(new Error("fail"))
+    const onRetry = vi.fn()
+    const options = { attempts: 4, delay: 2, maxDelay: 5, jitter: false, onRetry }
+    await expect(retry(options, cb)).rejects.toThrow(RetryError)
+    expect(onRetry.mock.calls.map((args) => args[2])).toEqual([2, 4, 5])
+  })
+
+  it("randomizes delay between 0 and the delay with full jitter", async () => {
+    const random = vi.spyOn(Math, "random").mockReturnValue(0.25)
+    try {
+      const cb = vi.fn().mockRejectedValueOnce(new Error("fail")).mockResolvedValue(1)
+      const onRetry = vi.fn()
+      await retry({ delay: 8, jitter: "full", onRetry }, cb)
+      expect(onRetry.mock.calls[0][2]).toBe(2)
+    } finally {
+      random.mockRestore()
+    }
+  })
+
+  it("randomizes delay between half the delay and the delay with equal jitter", async () => {
+    const random = vi.spyOn(Math, "random").mockReturnValue(0.25)
+    try {
+      const cb = vi.fn().mockRejectedValueOnce(new Error("fail")).mockResolvedValue(1)
+      const onRetry = vi.fn()
+      await retry({ delay: 8, jitter: "equal", onRetry }, cb)
+      expect(onRetry.mock.calls[0][2]).toBe(5)
+    } finally {
+      random.mockRestore()
+    }
+  })
+
+  it("waits between attempts", async () => {
+    const cb = vi.fn().mockRejectedValueOnce(new Error("fail")).mockResolvedValue(1)
+    const before = Date.now()
+    await retry({ delay: 10, jitter: false }, cb)
+    expect(Date.now() - before).toBeGreaterThanOrEqual(9)
+  })
+})
+
 describe("sleep", () => {
   it("resolves after the specified milliseconds", async () => {
     const before = Date.now()
@@ -123,6 +406,547 @@ describe("sleep", () => {
   })
 })
 
+describe("sleep with signal", () => {
+  it("rejects with the signal's reason when aborted", async () => {
+    const controller = new AbortController()
+    const before = Date.now()
+    const promise = sleep(1000, { signal: controller.signal })
+    controller.abort("reason")
+    await expect(promise).rejects.toBe("reason")
+    expect(Date.now() - before).toBeLessThan(100)
+  })
+
+  it("rejects if signal is already aborted", async () => {
+    await expect(sleep(1, { signal: AbortSignal.abort("reason") })).rejects.toBe("reason")
+    await expect(sleep(-1, { signal: AbortSignal.abort("reason") })).rejects.toBe("reason")
+  })
+
+  it("resolves normally if not aborted", async () => {
+    const controller = new AbortController()
+    await expect(sleep(1, { signal: controller.signal })).resolves.toBeUndefined()
+  })
+})
+
+describe("sleepUntil", () => {
+  let clock
+  const install = (start) => {
+    clock = createVirtualClock({ start: new Date(start) })
+    clock.install()
+  }
+  afterEach(() => clock?.uninstall())
+
+  it("sleeps until the next occurrence of time in Eastern time", async () => {
+    // 09:58:30 EST
+    install("2024-01-15T14:58:30Z")
+    const done = vi.fn()
+    sleepUntil({ time: "10:00" }).then(done)
+    await clock.advance(89 * 1000)
+    expect(done).not.toHaveBeenCalled()
+    await clock.advance(1000)
+    expect(done).toHaveBeenCalledWith(new Date("2024-01-15T15:00:00Z"))
+  })
+
+  it("sleeps until tomorrow if time has passed today", async () => {
+    install("2024-01-15T15:30:00Z")
+    const promise = sleepUntil({ time: "10:00:00" })
+    await clock.runAll()
+    await expect(promise).resolves.toEqual(new Date("2024-01-16T15:00:00Z"))
+  })
+
+  it("returns immediately if date and time are past", async () => {
+    install("2024-01-15T15:30:00Z")
+    const result = await sleepUntil({ date: "2024-01-15", time: "10:00" })
+    expect(result).toEqual(new Date("2024-01-15T15:00:00Z"))
+  })
+
+  it("handles daylight saving changes", async () => {
+    install("2024-03-10T05:00:00Z")
+    // 02:30 does not exist, so wakes at 03:30 EDT
+    const skipped = sleepUntil({ date: "2024-03-10", time: "02:30" })
+    // 12:00 is after the change
+    const after = sleepUntil({ date: "2024-03-10", time: "12:00" })
+    // 01:30 happens twice, so wakes at the first (EDT)
+    const repeated = sleepUntil({ date: "2024-11-03", time: "01:30" })
+    await clock.runAll()
+    await expect(skipped).resolves.toEqual(new Date("2024-03-10T07:30:00Z"))
+    await expect(after).resolves.toEqual(new Date("2024-03-10T16:00:00Z"))
+    await expect(repeated).resolves.toEqual(new Date("2024-11-03T05:30:00Z"))
+  })
+
+  it("uses timeZone", async () => {
+    install("2024-01-15T14:58:30Z")
+    const promise = sleepUntil({ time: "15:00", timeZone: "UTC" })
+    await clock.advance(90 * 1000)
+    await expect(promise).resolves.toEqual(new Date("2024-01-15T15:00:00Z"))
+  })
+
+  it("defaults to midnight", async () => {
+    install("2024-01-15T14:58:30Z")
+    const promise = sleepUntil()
+    await clock.runAll()
+    await expect(promise).resolves.toEqual(new Date("2024-01-16T05:00:00Z"))
+  })
+
+  it("sleeps again if woken early", async () => {
+    let current = new Date("2024-01-15T14:59:59Z").getTime()
+    setNow(() => new Date(current))
+    try {
+      const done = vi.fn()
+      const promise = sleepUntil({ time: "10:00" }).then(done)
+      await sleep(5)
+      expect(done).not.toHaveBeenCalled()
+      current += 1000
+      await promise
+      expect(done).toHaveBeenCalled()
+    } finally {
+      setNow()
+    }
+  })
+
+  it("rejects with the signal's reason when aborted", async () => {
+    install("2024-01-15T14:58:30Z")
+    const controller = new AbortController()
+    const promise = sleepUntil({ time: "10:00", signal: controller.signal })
+    controller.abort("reason")
+    await expect(promise).rejects.toBe("reason")
+  })
+
+  it("throws if date or time is invalid", async () => {
+    await expect(sleepUntil({ time: "25:00" })).rejects.toThrow("invalid time: 25:00")
+    await expect(sleepUntil({ date: "2024-02-31" })).rejects.toThrow("invalid date: 2024-02-31")
+  })
+})
+
+describe("every", () => {
+  let clock
+  let controller
+  const install = (start) => {
+    clock = createVirtualClock({ start: new Date(start) })
+    clock.install()
+    controller = new AbortController()
+  }
+  afterEach(() => clock?.uninstall())
+
+  // runs every() for ms of virtual time and returns the times callback was called at
+  const run = async (options, ms, callback = () => {}) => {
+    const calls = []
+    const promise = every({ ...options, signal: controller.signal }, (scheduled) => {
+      calls.push({ scheduled: scheduled.toISOString(), at: clock.now().toISOString() })
+      return callback()
+    })
+    const assertion = expect(promise).rejects.toBe("stop")
+    await clock.advance(ms)
+    controller.abort("stop")
+    await assertion
+    return calls
+  }
+
+  it("calls on aligned wall-clock boundaries", async () => {
+    install("2024-01-15T14:58:30Z")
+    const calls = await run({ minutes: 5 }, 13 * 60 * 1000)
+    expect(calls.map((call) => call.scheduled)).toEqual([
+      "2024-01-15T15:00:00.000Z",
+      "2024-01-15T15:05:00.000Z",
+      "2024-01-15T15:10:00.000Z",
+    ])
+  })
+
+  it("restarts boundaries at midnight in Eastern time", async () => {
+    // 23:00 EST
+    install("2024-01-16T04:00:00Z")
+    const calls = await run({ minutes: 7 * 60 }, 10 * 60 * 60 * 1000)
+    expect(calls.map((call) => call.scheduled)).toEqual([
+      "2024-01-16T05:00:00.000Z",
+      "2024-01-16T12:00:00.000Z",
+    ])
+  })
+
+  it("follows the wall clock across daylight saving changes", async () => {
+    // 01:50 EST; 02:00 does not exist
+    install("2024-03-10T06:50:00Z")
+    const spring = await run({ minutes: 30 }, 45 * 60 * 1000)
+    expect(spring.map((call) => call.scheduled)).toEqual([
+      "2024-03-10T07:00:00.000Z",
+      "2024-03-10T07:30:00.000Z",
+    ])
+    clock.uninstall()
+    // 00:50 EDT; 01:00 happens twice
+    install("2024-11-03T04:50:00Z")
+    const fall = await run({ minutes: 60 }, 3 * 60 * 60 * 1000)
+    expect(fall.map((call) => call.scheduled)).toEqual([
+      "2024-11-03T05:00:00.000Z",
+      "2024-11-03T06:00:00.000Z",
+      "2024-11-03T07:00:00.000Z",
+    ])
+  })
+
+  it("calls every minutes after it is called if align is false", async () => {
+    install("2024-01-15T15:02:17Z")
+    const calls = await run({ minutes: 1, align: false }, 3 * 60 * 1000)
+    expect(calls.map((call) => call.scheduled)).toEqual([
+      "2024-01-15T15:03:17.000Z",
+      "2024-01-15T15:04:17.000Z",
+      "2024-01-15T15:05:17.000Z",
+    ])
+  })
+
+  it("skips calls while a previous call is running by default", async () => {
+    install("2024-01-15T15:00:00Z")
+    const calls = await run({ minutes: 5 }, 16 * 60 * 1000, () => sleep(7 * 60 * 1000))
+    expect(calls.map((call) => call.at)).toEqual([
+      "2024-01-15T15:05:00.000Z",
+      "2024-01-15T15:15:00.000Z",
+    ])
+  })
+
+  it("queues calls while a previous call is running if overlap is queue", async () => {
+    install("2024-01-15T15:00:00Z")
+    const options = { minutes: 5, overlap: "queue" }
+    const calls = await run(options, 16 * 60 * 1000, () => sleep(7 * 60 * 1000))
+    expect(calls).toEqual([
+      { scheduled: "2024-01-15T15:05:00.000Z", at: "2024-01-15T15:05:00.000Z" },
+      { scheduled: "2024-01-15T15:10:00.000Z", at: "2024-01-15T15:12:00.000Z" },
+    ])
+  })
+
+  it("calls while a previous call is running if overlap is parallel", async () => {
+    install("2024-01-15T15:00:00Z")
+    let running = 0
+    let maxRunning = 0
+    const callback = async () => {
+      maxRunning = Math.max(maxRunning, ++running)
+      await sleep(7 * 60 * 1000)
+      running--
+    }
+    const calls = await run({ minutes: 5, overlap: "parallel" }, 16 * 60 * 1000, callback)
+    expect(calls).toHaveLength(3)
+    expect(maxRunning).toBe(2)
+  })
+
+  it("passes a signal to callback that is aborted with signal", async () => {
+    install("2024-01-15T15:00:00Z")
+    const callback = vi.fn()
+    const promise = every({ minutes: 1, signal: controller.signal }, callback)
+    await clock.advance(60 * 1000)
+    const [scheduled, signal] = callback.mock.calls[0]
+    expect(scheduled).toEqual(new Date("2024-01-15T15:01:00Z"))
+    expect(signal.aborted).toBe(false)
+    controller.abort("stop")
+    await expect(promise).rejects.toBe("stop")
+    expect(signal.reason).toBe("stop")
+  })
+
+  it("aborts the signal passed to calls in flight when another call throws", async () => {
+    install("2024-01-15T15:00:00Z")
+    const error = new Error("fail")
+    const signals = []
+    const callback = vi.fn((scheduled, signal) => {
+      signals.push(signal)
+      return signals.length === 1 ? sleep(10 * 60 * 1000, { signal }) : Promise.reject(error)
+    })
+    const promise = every({ minutes: 1, overlap: "parallel" }, callback)
+    const assertion = expect(promise).rejects.toBe(error)
+    await clock.advance(2 * 60 * 1000)
+    await assertion
+    expect(signals[0].reason).toBe(error)
+  })
+
+  it("does not make queued calls after a call throws", async () => {
+    install("2024-01-15T15:00:00Z")
+    const error = new Error("fail")
+    const callback = vi.fn(() => sleep(150 * 1000).then(() => Promise.reject(error)))
+    const promise = every({ minutes: 1, overlap: "queue" }, callback)
+    const assertion = expect(promise).rejects.toBe(error)
+    // calls for 15:02 and 15:03 are queued behind the first call, which throws at 15:03:30
+    await clock.advance(4 * 60 * 1000)
+    await assertion
+    await clock.advance(10 * 60 * 1000)
+    expect(callback).toHaveBeenCalledTimes(1)
+  })
+
+  it("rejects with the error from callback and stops calling it", async () => {
+    install("2024-01-15T15:00:00Z")
+    const error = new Error("fail")
+    const callback = vi.fn().mockRejectedValue(error)
+    const promise = every({ minutes: 1 }, callback)
+    const assertion = expect(promise).rejects.toBe(error)
+    await clock.advance(60 * 1000)
+    await assertion
+    await clock.advance(5 * 60 * 1000)
+    expect(callback).toHaveBeenCalledTimes(1)
+  })
+
+  it("throws if minutes or overlap is invalid", async () => {
+    const callback = vi.fn()
+    await expect(every({ minutes: 0 }, callback)).rejects.toThrow(
+      "minutes must be a positive integer"
+    )
+    await expect(every({ minutes: 1, overlap: "wait" }, callback)).rejects.toThrow(
+      "invalid overlap: wait"
+    )
+  })
+})
+
+describe("withTimeout", () => {
+  it("resolves with the promise's value if it settles in time", async () => {
+    await expect(withTimeout(Promise.resolve(1), 10)).resolves.toBe(1)
+  })
+
+  it("rejects with the promise's reason if it rejects in time", async () => {
+    await expect(withTimeout(Promise.reject("fail"), 10)).rejects.toBe("fail")
+  })
+
+  it("rejects with TimeoutError if the promise takes too long", async () => {
+    const promise = withTimeout(sleep(50), 5)
+    await expect(promise).rejects.toBeInstanceOf(TimeoutError)
+    await expect(promise).rejects.toThrow("timed out after 5 ms")
+  })
+
+  it("calls a function with a signal that is aborted on timeout", async () => {
+    let signal
+    const promise = withTimeout((_signal) => {
+      signal = _signal
+      return sleep(50, { signal })
+    }, 5)
+    await expect(promise).rejects.toBeInstanceOf(TimeoutError)
+    expect(signal.aborted).toBe(true)
+    expect(signal.reason).toBeInstanceOf(TimeoutError)
+  })
+
+  it("rejects if the function throws synchronously", async () => {
+    const promise = withTimeout(() => {
+      throw new Error("sync")
+    }, 5)
+    await expect(promise).rejects.toThrow("sync")
+  })
+
+  it("never times out if ms is undefined or Infinity", async () => {
+    const promise = sleep(5).then(() => 1)
+    await expect(withTimeout(promise)).resolves.toBe(1)
+    await expect(withTimeout(promise, Infinity)).resolves.toBe(1)
+  })
+})
+
+describe("Semaphore", () => {
+  it("allows up to permits holders at once and serves waiters in order", async () => {
+    const semaphore = new Semaphore(2)
+    await semaphore.acquire()
+    await semaphore.acquire()
+    expect(semaphore.available).toBe(0)
+    const order = []
+    const first = semaphore.acquire().then(() => order.push(1))
+    const second = semaphore.acquire().then(() => order.push(2))
+    expect(semaphore.waiting).toBe(2)
+    semaphore.release()
+    await first
+    expect(order).toEqual([1])
+    semaphore.release()
+    await second
+    expect(order).toEqual([1, 2])
+    semaphore.release()
+    semaphore.release()
+    expect(semaphore.available).toBe(2)
+  })
+
+  it("withPermit releases the permit even if fn throws", async () => {
+    const semaphore = new Semaphore(1)
+    await expect(semaphore.withPermit(() => Promise.reject(new Error("fail")))).rejects.toThrow(
+      "fail"
+    )
+    await expect(semaphore.withPermit(() => "ok")).resolves.toBe("ok")
+    expect(semaphore.available).toBe(1)
+  })
+
+  it("limits concurrency of withPermit", async () => {
+    const semaphore = new Semaphore(2)
+    let running = 0
+    let maxRunning = 0
+    const fn = async () => {
+      maxRunning = Math.max(maxRunning, ++running)
+      await sleep(2)
+      running--
+    }
+    await Promise.all(Array.from({ length: 6 }, () => semaphore.withPermit(fn)))
+    expect(maxRunning).toBe(2)
+  })
+
+  it("rejects with the signal's reason and gives the permit to the next waiter", async () => {
+    const semaphore = new Semaphore(0)
+    const controller = new AbortController()
+    const aborted = semaphore.acquire({ signal: controller.signal })
+    const next = semaphore.acquire()
+    controller.abort("reason")
+    await expect(aborted).rejects.toBe("reason")
+    expect(semaphore.waiting).toBe(1)
+    semaphore.release()
+    await next
+    expect(semaphore.available).toBe(0)
+  })
+
+  it("rejects with a TimeoutError after timeout", async () => {
+    const semaphore = new Semaphore(0)
+    await expect(semaphore.acquire({ timeout: 2 })).rejects.toThrow(
+      new TimeoutError("timed out after 2 ms")
+    )
+    expect(semaphore.waiting).toBe(0)
+  })
+
+  it("throws if permits is invalid", () => {
+    expect(() => new Semaphore(-1)).toThrow("permits must be a nonnegative integer")
+    expect(() => new Semaphore(1.5)).toThrow("permits must be a nonnegative integer")
+  })
+})
+
+describe("Mutex", () => {
+  it("runs functions one at a time in the order called", async () => {
+    const mutex = new Mutex()
+    const events = []
+    const task = (name) => async () => {
+      events.push(`start ${name}`)
+      await sleep(2)
+      events.push(`end ${name}`)
+      return name
+    }
+    const results = await Promise.all([
+      mutex.runExclusive(task("a")),
+      mutex.runExclusive(task("b")),
+    ])
+    expect(results).toEqual(["a", "b"])
+    expect(events).toEqual(["start a", "end a", "start b", "end b"])
+    expect(mutex.isLocked).toBe(false)
+  })
+
+  it("acquire returns a release function that only releases once", async () => {
+    const mutex = new Mutex()
+    const release = await mutex.acquire()
+    expect(mutex.isLocked).toBe(true)
+    const waiting = mutex.acquire()
+    release()
+    const releaseNext = await waiting
+    release()
+    expect(mutex.isLocked).toBe(true)
+    releaseNext()
+    expect(mutex.isLocked).toBe(false)
+  })
+
+  it("supports signal and timeout", async () => {
+    const mutex = new Mutex()
+    await mutex.acquire()
+    await expect(mutex.runExclusive(vi.fn(), { timeout: 1 })).rejects.toThrow(TimeoutError)
+    const fn = vi.fn()
+    const signal = AbortSignal.abort("reason")
+    await expect(mutex.runExclusive(fn, { signal })).rejects.toBe("reason")
+    expect(fn).not.toHaveBeenCalled()
+  })
+})
+
+describe("Barrier", () => {
+  it("releases all callers once parties are waiting and can be reused", async () => {
+    const barrier = new Barrier(3)
+    const released = vi.fn()
+    const first = barrier.wait().then(released)
+    const second = barrier.wait().then(released)
+    await sleep(1)
+    expect(released).not.toHaveBeenCalled()
+    expect(barrier.waiting).toBe(2)
+    await barrier.wait()
+    await Promise.all([first, second])
+    expect(released).toHaveBeenCalledTimes(2)
+    expect(barrier.waiting).toBe(0)
+    const again = barrier.wait()
+    expect(barrier.waiting).toBe(1)
+    await Promise.all([again, barrier.wait(), barrier.wait()])
+  })
+
+  it("does not count callers that were aborted or timed out", async () => {
+    const barrier = new Barrier(2)
+    const controller = new AbortController()
+    const aborted = barrier.wait({ signal: controller.signal })
+    controller.abort("reason")
+    await expect(aborted).rejects.toBe("reason")
+    await expect(barrier.wait({ timeout: 1 })).rejects.toThrow(TimeoutError)
+    expect(barrier.waiting).toBe(0)
+  })
+
+  it("throws if parties is invalid", () => {
+    expect(() => new Barrier(0)).toThrow("parties must be a positive integer")
+  })
+})
+
+describe("Latch", () => {
+  it("releases waiters once counted down to 0", async () => {
+    const latch = new Latch(2)
+    const released = vi.fn()
+    const waiting = latch.wait().then(released)
+    latch.countDown()
+    await sleep(1)
+    expect(released).not.toHaveBeenCalled()
+    latch.countDown()
+    await waiting
+    expect(released).toHaveBeenCalled()
+    latch.countDown()
+    expect(latch.count).toBe(0)
+    await latch.wait()
+  })
+
+  it("resolves immediately if count is 0", async () => {
+    await new Latch(0).wait()
+  })
+
+  it("supports signal and timeout", async () => {
+    const latch = new Latch(1)
+    await expect(latch.wait({ signal: AbortSignal.abort("reason") })).rejects.toBe("reason")
+    await expect(latch.wait({ timeout: 1 })).rejects.toThrow(
+      new TimeoutError("timed out after 1 ms")
+    )
+  })
+
+  it("throws if count is invalid", () => {
+    expect(() => new Latch(-1)).toThrow("count must be a nonnegative integer")
+  })
+})
+
+describe("Deferred", () => {
+  it("settles the promise with resolve or reject, only once", async () => {
+    const resolved = new Deferred()
+    expect(resolved.isSettled).toBe(false)
+    resolved.resolve(1)
+    resolved.resolve(2)
+    resolved.reject(new Error("ignored"))
+    expect(resolved.isSettled).toBe(true)
+    await expect(resolved.promise).resolves.toBe(1)
+    const rejected = new Deferred()
+    rejected.reject("reason")
+    await expect(rejected.promise).rejects.toBe("reason")
+  })
+
+  it("rejects with the signal's reason when aborted", async () => {
+    const controller = new AbortController()
+    const deferred = new Deferred({ signal: controller.signal })
+    controller.abort("reason")
+    await expect(deferred.promise).rejects.toBe("reason")
+    expect(deferred.isSettled).toBe(true)
+    const alreadyAborted = new Deferred({ signal: AbortSignal.abort("early") })
+    await expect(alreadyAborted.promise).rejects.toBe("early")
+  })
+
+  it("rejects with a TimeoutError after timeout unless settled first", async () => {
+    const clock = createVirtualClock()
+    clock.install()
+    try {
+      const timedOut = new Deferred({ timeout: 10 })
+      const assertion = expect(timedOut.promise).rejects.toThrow(TimeoutError)
+      const settled = new Deferred({ timeout: 10 })
+      settled.resolve("done")
+      await clock.advance(10)
+      await assertion
+      await expect(settled.promise).resolves.toBe("done")
+    } finally {
+      clock.uninstall()
+    }
+  })
+})
+
 describe("allSettled", () => {
   it("returns correct structure for all fulfilled", async () => {
     const arr = [1, 2, 3]
@@ -259,35 +1083,1417 @@ describe("allSettled", () => {
   })
 })
 
-describe("allPatiently", () => {
-  it("returns flattened values when all promises resolve", async () => {
-    const promises = [Promise.resolve([1]), Promise.resolve([2, 3])]
-    const result = await allPatiently(promises, { flatten: true })
-    expect(result).toEqual([1, 2, 3])
+describe("allSettled with pool", () => {
+  it("returns results in input order even when calls settle out of order", async () => {
+    const arr = [5, 1, 3, 2]
+    const cb = async (x) => {
+      await sleep(x)
+      return x * 2
+    }
+    const result = await allSettled({ array: arr, limit: 2, pool: true }, cb)
+    expect(result.values).toEqual([10, 2, 6, 4])
+    expect(result.returned).toEqual([10, 2, 6, 4])
+    expect(result.results.every((r) => r.status === "fulfilled")).toBe(true)
   })
 
-  it("throws with joined messages when any promise rejects", async () => {
-    const bad = new Error("bad")
-    const promises = [Promise.resolve(1), Promise.reject(bad), Promise.reject("oops")]
-    await expect(allPatiently(promises, { flatten: false })).rejects.toThrow("bad; oops")
+  it("starts a new call as soon as any in-flight call settles", async () => {
+    const started = []
+    const cb = async (x) => {
+      started.push(x)
+      await sleep(x === "slow" ? 30 : 1)
+      return x
+    }
+    const promise = allSettled({ array: ["slow", "a", "b", "c"], limit: 2, pool: true }, cb)
+    await sleep(15)
+    // with chunk barriers, "b" and "c" would not start until "slow" finished
+    expect(started).toEqual(["slow", "a", "b", "c"])
+    const result = await promise
+    expect(result.values).toEqual(["slow", "a", "b", "c"])
   })
-})
 
-describe("intervalLimiter", () => {
-  it("does not delay until limit is reached", async () => {
-    const limiter = intervalLimiter({ limit: 3, interval: 10 })
-    const before = Date.now()
-    await limiter(1)
-    await limiter(1)
-    await limiter(1) // should reach limit here, triggers wait
-    const after = Date.now()
-    expect(after - before).toBeGreaterThanOrEqual(10)
+  it("never has more than limit calls in flight", async () => {
+    let inFlight = 0
+    let maxInFlight = 0
+    const cb = async (x) => {
+      inFlight++
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      await sleep(x)
+      inFlight--
+      return x
+    }
+    await allSettled({ array: [3, 1, 2, 1, 3, 1, 2], limit: 3, pool: true }, cb)
+    expect(maxInFlight).toBe(3)
   })
 
-  it("resets count and interval after waiting", async () => {
-    const limiter = intervalLimiter({ limit: 2, interval: 5 })
-    const before = Date.now()
-    await limiter(1)
+  it("passes the global index and all elements to callback", async () => {
+    const cb = vi.fn((x) => x)
+    await allSettled({ iterable: new Set(["a", "b", "c"]), limit: 2, pool: true }, cb)
+    expect(cb.mock.calls).toEqual([
+      ["a", 0, ["a", "b", "c"]],
+      ["b", 1, ["a", "b", "c"]],
+      ["c", 2, ["a", "b", "c"]],
+    ])
+  })
+
+  it("collects rejections, including synchronous throws", async () => {
+    const cb = (x) => {
+      if (x === 1) throw new Error("sync")
+      if (x === 2) return Promise.reject("async")
+      return x
+    }
+    const result = await allSettled({ array: [0, 1, 2, 3], limit: 2, pool: true }, cb)
+    expect(result.values).toEqual([0, undefined, undefined, 3])
+    expect(result.returned).toEqual([0, 3])
+    expect(result.errors.map((e) => e?.message ?? e)).toEqual(["sync", "async"])
+  })
+
+  it("calls limiter with 1 after each call", async () => {
+    const limiter = vi.fn()
+    await allSettled({ array: [1, 2, 3], limit: 2, limiter, pool: true }, (x) => x)
+    expect(limiter).toHaveBeenCalledTimes(3)
+    expect(limiter.mock.calls).toEqual([[1], [1], [1]])
+  })
+
+  it("stops starting new calls once limiter rejects", async () => {
+    const limiter = vi.fn().mockRejectedValueOnce(new Error("limiter"))
+    const cb = vi.fn(async (x) => {
+      if (x > 1) await sleep(5)
+      return x
+    })
+    const arr = [1, 2, 3, 4, 5, 6, 7, 8]
+    const promise = allSettled({ array: arr, limit: 2, limiter, pool: true }, cb)
+    await expect(promise).rejects.toThrow("limiter")
+    expect(cb).toHaveBeenCalledTimes(2)
+    await sleep(20)
+    expect(cb).toHaveBeenCalledTimes(2)
+  })
+
+  it("stops starting new calls if abort=true and an error occurs", async () => {
+    const cb = vi.fn(async (x) => {
+      if (x === 1) throw new Error("fail")
+      await sleep(5)
+      return x
+    })
+    const arr = [1, 2, 3, 4, 5, 6]
+    const result = await allSettled({ array: arr, limit: 2, abort: true, pool: true }, cb)
+    // the in-flight call still settles but no new calls are started
+    expect(cb).toHaveBeenCalledTimes(2)
+    expect(result.values).toEqual([undefined, 2])
+    expect(result.errors.map((e) => e.message)).toEqual(["fail"])
+  })
+
+  it("throws PromiseAllError if throws=true", async () => {
+    const cb = (x) => (x === 2 ? Promise.reject(new Error("bad")) : x)
+    await expect(
+      allSettled({ array: [1, 2], limit: 1, throws: true, pool: true }, cb)
+    ).rejects.toThrow(PromiseAllError)
+  })
+
+  it("flattens values if flatten=true", async () => {
+    const cb = (x) => [x, x + 1]
+    const result = await allSettled({ array: [1, 2], limit: 1, flatten: true, pool: true }, cb)
+    expect(result.values).toEqual([1, 2, 2, 3])
+    expect(result.returned).toEqual([1, 2, 2, 3])
+  })
+
+  it("runs every call in parallel if no limit", async () => {
+    let inFlight = 0
+    let maxInFlight = 0
+    const cb = async () => {
+      inFlight++
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      await sleep(1)
+      inFlight--
+    }
+    await allSettled({ array: [1, 2, 3, 4], pool: true }, cb)
+    expect(maxInFlight).toBe(4)
+  })
+
+  it("handles empty array", async () => {
+    const result = await allSettled({ array: [], limit: 2, pool: true }, () => 1)
+    expect(result.results).toEqual([])
+  })
+
+  it("throws if limit is not a positive integer", async () => {
+    await expect(allSettled({ array: [1], limit: 0, pool: true })).rejects.toThrow(
+      "limit must be a positive integer or Infinity"
+    )
+  })
+})
+
+describe("allSettled with signal", () => {
+  it("rejects if signal is already aborted without calling callback", async () => {
+    const cb = vi.fn()
+    const signal = AbortSignal.abort("reason")
+    await expect(allSettled({ array: [1, 2], signal }, cb)).rejects.toBe("reason")
+    expect(cb).not.toHaveBeenCalled()
+  })
+
+  it("stops processing chunks and rejects with the signal's reason", async () => {
+    const controller = new AbortController()
+    const cb = vi.fn(async (x) => {
+      if (x === 2) {
+        controller.abort("reason")
+      }
+      await sleep(1)
+      return x
+    })
+    const promise = allSettled({ array: [1, 2, 3, 4], limit: 2, signal: controller.signal }, cb)
+    await expect(promise).rejects.toBe("reason")
+    expect(cb).toHaveBeenCalledTimes(2)
+  })
+
+  it("rejects without waiting for in-flight calls", async () => {
+    const controller = new AbortController()
+    const promise = allSettled({ array: [1000], signal: controller.signal }, (ms) => sleep(ms))
+    const before = Date.now()
+    controller.abort("reason")
+    await expect(promise).rejects.toBe("reason")
+    expect(Date.now() - before).toBeLessThan(100)
+  })
+
+  it("stops starting new calls in pool mode", async () => {
+    const controller = new AbortController()
+    const cb = vi.fn(async (x) => {
+      if (x === 1) {
+        controller.abort("reason")
+      }
+      await sleep(1)
+      return x
+    })
+    const options = { array: [1, 2, 3, 4], limit: 1, pool: true, signal: controller.signal }
+    await expect(allSettled(options, cb)).rejects.toBe("reason")
+    await sleep(5)
+    expect(cb).toHaveBeenCalledTimes(1)
+  })
+
+  it("passes signal to callback and limiter", async () => {
+    const controller = new AbortController()
+    const { signal } = controller
+    const cb = vi.fn((x) => x)
+    const limiter = vi.fn()
+    await allSettled({ array: [1, 2], limit: 2, limiter, signal }, cb)
+    expect(cb.mock.calls).toEqual([
+      [1, 0, [1, 2], signal],
+      [2, 1, [1, 2], signal],
+    ])
+    expect(limiter).toHaveBeenCalledWith(2, { signal })
+  })
+
+  it("aborts a limiter that is waiting", async () => {
+    const controller = new AbortController()
+    const limiter = intervalLimiter({ limit: 1, interval: 1000 })
+    const options = { array: [1, 2], limit: 1, limiter, signal: controller.signal }
+    const promise = allSettled(options, (x) => x)
+    const before = Date.now()
+    await sleep(1)
+    controller.abort("reason")
+    await expect(promise).rejects.toBe("reason")
+    expect(Date.now() - before).toBeLessThan(100)
+  })
+})
+
+describe("allSettled with timeout and deadline", () => {
+  it("rejects calls that exceed timeout with TimeoutError", async () => {
+    const cb = (ms) => sleep(ms).then(() => ms)
+    const result = await allSettled({ array: [1, 50, 2], timeout: 20 }, cb)
+    expect(result.values).toEqual([1, undefined, 2])
+    expect(result.errors).toHaveLength(1)
+    expect(result.errors[0]).toBeInstanceOf(TimeoutError)
+    expect(result.results[1].status).toBe("rejected")
+  })
+
+  it("aborts the signal passed to callback on timeout", async () => {
+    const signals = []
+    const cb = (ms, index, array, signal) => {
+      signals.push(signal)
+      return sleep(ms, { signal })
+    }
+    await allSettled({ array: [1, 50], timeout: 20 }, cb)
+    expect(signals.map((signal) => signal.aborted)).toEqual([false, true])
+  })
+
+  it("applies timeout to each call in pool mode", async () => {
+    const cb = (ms) => sleep(ms).then(() => ms)
+    const options = { array: [50, 1, 1], limit: 1, timeout: 20, pool: true }
+    const result = await allSettled(options, cb)
+    expect(result.values).toEqual([undefined, 1, 1])
+    expect(result.errors[0]).toBeInstanceOf(TimeoutError)
+  })
+
+  it("rejects in-flight and remaining calls with TimeoutError once deadline passes", async () => {
+    const cb = vi.fn((ms) => sleep(ms).then(() => ms))
+    const result = await allSettled({ array: [1, 50, 1, 1], limit: 2, deadline: 20 }, cb)
+    expect(result.values).toEqual([1, undefined, undefined, undefined])
+    expect(result.errors).toHaveLength(3)
+    expect(result.errors.every((error) => error instanceof TimeoutError)).toBe(true)
+    expect(result.errors[0].message).toBe("deadline of 20 ms exceeded")
+    expect(cb).toHaveBeenCalledTimes(2)
+  })
+
+  it("stops starting calls once deadline passes in pool mode", async () => {
+    const cb = vi.fn((ms) => sleep(ms).then(() => ms))
+    const options = { array: [50, 1, 1, 1], limit: 2, deadline: 20, pool: true }
+    const before = Date.now()
+    const result = await allSettled(options, cb)
+    expect(Date.now() - before).toBeLessThan(45)
+    expect(result.values).toEqual([undefined, 1, 1, 1])
+    expect(result.errors[0]).toBeInstanceOf(TimeoutError)
+  })
+
+  it("does not wait for limiter once deadline passes", async () => {
+    const limiter = vi.fn(() => sleep(1000))
+    const before = Date.now()
+    const result = await allSettled({ array: [1, 2], limit: 1, limiter, deadline: 10 }, (x) => x)
+    expect(Date.now() - before).toBeLessThan(100)
+    expect(result.values).toEqual([1, undefined])
+    expect(limiter).toHaveBeenCalledTimes(1)
+  })
+
+  it("throws PromiseAllError for timeouts if throws=true", async () => {
+    const options = { array: [50], timeout: 5, throws: true }
+    await expect(allSettled(options, (ms) => sleep(ms))).rejects.toThrow(PromiseAllError)
+  })
+})
+
+describe("allSettled with acquire", () => {
+  it("awaits acquire with a count of 1 before each call", async () => {
+    const events = []
+    const acquire = vi.fn(async (count) => {
+      events.push(`acquire ${count}`)
+      await sleep(1)
+    })
+    const cb = (x) => events.push(`call ${x}`)
+    await allSettled({ array: [1, 2], limit: 1, acquire }, cb)
+    expect(events).toEqual(["acquire 1", "call 1", "acquire 1", "call 2"])
+    expect(acquire.mock.calls[0]).toEqual([1])
+  })
+
+  it("rejects the call without calling callback if acquire rejects", async () => {
+    const acquire = vi.fn().mockResolvedValueOnce(undefined).mockRejectedValueOnce("full")
+    const cb = vi.fn((x) => x)
+    const result = await allSettled({ array: [1, 2], acquire }, cb)
+    expect(result.values).toEqual([1, undefined])
+    expect(result.errors).toEqual(["full"])
+    expect(cb).toHaveBeenCalledTimes(1)
+  })
+
+  it("passes signal to acquire and stops waiting for it once deadline passes", async () => {
+    const controller = new AbortController()
+    const acquire = vi.fn((count, { signal }) => sleep(1000, { signal }))
+    const options = { array: [1], acquire, signal: controller.signal, deadline: 10 }
+    const result = await allSettled(options, (x) => x)
+    expect(result.errors[0]).toBeInstanceOf(TimeoutError)
+    expect(acquire.mock.calls[0][1].signal.aborted).toBe(true)
+  })
+})
+
+describe("allSettled with onProgress", () => {
+  it("reports counts each time a call settles", async () => {
+    const onProgress = vi.fn()
+    const cb = (x) => (x === 2 ? Promise.reject("fail") : x)
+    await allSettled({ array: [1, 2, 3], onProgress }, cb)
+    expect(onProgress).toHaveBeenCalledTimes(3)
+    const last = onProgress.mock.calls[2][0]
+    expect(last).toMatchObject({ started: 3, fulfilled: 2, rejected: 1, settled: 3 })
+    expect(last).toMatchObject({ total: 3, done: true, eta: 0 })
+    expect(onProgress.mock.calls[1][0].done).toBe(false)
+    expect(last.elapsed).toBeGreaterThanOrEqual(0)
+  })
+
+  it("reports as calls settle within a chunk rather than at chunk boundaries", async () => {
+    const settledCounts = []
+    const onProgress = ({ settled }) => settledCounts.push(settled)
+    const cb = async (ms) => {
+      await sleep(ms)
+      // the fast call reports before the slow call in the same chunk settles
+      return settledCounts.length
+    }
+    const result = await allSettled({ array: [1, 20], limit: 2, onProgress }, cb)
+    expect(result.values).toEqual([0, 1])
+    expect(settledCounts).toEqual([1, 2])
+  })
+
+  it("reports throughput and eta when total is known", async () => {
+    const progresses = []
+    const onProgress = (progress) => progresses.push(progress)
+    const options = { array: [5, 5, 5, 5], limit: 1, pool: true, onProgress }
+    await allSettled(options, (ms) => sleep(ms))
+    const [first] = progresses
+    expect(first.total).toBe(4)
+    expect(first.started).toBe(1)
+    expect(first.throughput).toBeGreaterThan(0)
+    expect(first.eta).toBeCloseTo((3 / first.throughput) * 1000)
+  })
+
+  it("reports undefined total and eta when the iterable length is unknown", async () => {
+    const onProgress = vi.fn()
+    function* generate() {
+      yield 1
+      yield 2
+    }
+    await allSettled({ iterable: generate(), onProgress }, (x) => x)
+    const last = onProgress.mock.calls[1][0]
+    expect(last).toMatchObject({ settled: 2, total: undefined, done: true, eta: undefined })
+  })
+
+  it("uses size for total when iterable is a Set", async () => {
+    const onProgress = vi.fn()
+    await allSettled({ iterable: new Set([1, 2]), onProgress }, (x) => x)
+    expect(onProgress.mock.calls[0][0].total).toBe(2)
+  })
+
+  it("counts timed out calls as rejected", async () => {
+    const onProgress = vi.fn()
+    await allSettled({ array: [50], timeout: 5, onProgress }, (ms) => sleep(ms))
+    expect(onProgress.mock.calls[0][0]).toMatchObject({ fulfilled: 0, rejected: 1 })
+  })
+
+  it("rejects with an error thrown by onProgress after every call settles", async () => {
+    const progressError = new Error("progress")
+    const onProgress = vi.fn(() => {
+      throw progressError
+    })
+    const cb = vi.fn((x) => x)
+    await expect(allSettled({ array: [1, 2], onProgress }, cb)).rejects.toBe(progressError)
+    expect(cb).toHaveBeenCalledTimes(2)
+    expect(onProgress).toHaveBeenCalledTimes(2)
+    expect(onProgress.mock.calls[1][0]).toMatchObject({ fulfilled: 2, rejected: 0, done: true })
+  })
+
+  it("counts a failed call as rejected when onProgress throws", async () => {
+    const onProgress = vi.fn(() => {
+      throw new Error("progress")
+    })
+    const cb = () => Promise.reject(new Error("call"))
+    await expect(allSettled({ array: [1], onProgress }, cb)).rejects.toThrow("progress")
+    expect(onProgress.mock.calls[0][0]).toMatchObject({ fulfilled: 0, rejected: 1 })
+  })
+
+  it("rejects with the reason of a promise returned by onProgress without an unhandled rejection", async () => {
+    const unhandled = vi.fn()
+    process.on("unhandledRejection", unhandled)
+    try {
+      const onProgress = async () => {
+        throw new Error("async progress")
+      }
+      const promise = allSettled({ array: [1, 2], onProgress }, (x) => x)
+      await expect(promise).rejects.toThrow("async progress")
+      await sleep(10)
+      expect(unhandled).not.toHaveBeenCalled()
+    } finally {
+      process.off("unhandledRejection", unhandled)
+    }
+  })
+
+  it("awaits promises returned by onProgress before returning", async () => {
+    const reported = []
+    const onProgress = async ({ settled }) => {
+      await sleep(5)
+      reported.push(settled)
+    }
+    const { values } = await allSettled({ array: [1, 2], onProgress }, (x) => x)
+    expect(values).toEqual([1, 2])
+    expect(reported).toEqual([1, 2])
+  })
+})
+
+describe("allSettled with group", () => {
+  // tracks the most calls in flight at once, overall and by group
+  const trackConcurrency = (getGroup) => {
+    const running = new Map()
+    const max = new Map()
+    let total = 0
+    let maxTotal = 0
+    const callback = async (element) => {
+      const group = getGroup(element)
+      running.set(group, (running.get(group) ?? 0) + 1)
+      max.set(group, Math.max(max.get(group) ?? 0, running.get(group)))
+      maxTotal = Math.max(maxTotal, ++total)
+      await sleep(2)
+      running.set(group, running.get(group) - 1)
+      total--
+      return element
+    }
+    return { callback, max, getMaxTotal: () => maxTotal }
+  }
+
+  it("limits calls in flight per group within each chunk", async () => {
+    const array = [
+      { host: "a", id: 1 },
+      { host: "a", id: 2 },
+      { host: "b", id: 3 },
+      { host: "a", id: 4 },
+    ]
+    const { callback, max, getMaxTotal } = trackConcurrency((element) => element.host)
+    const options = { array, limit: 4, group: "host", limitPerGroup: 2 }
+    const result = await allSettled(options, callback)
+    expect(result.values).toEqual(array)
+    expect(max.get("a")).toBe(2)
+    expect(getMaxTotal()).toBe(3)
+  })
+
+  it("starts calls for other groups in pool mode while a group is full", async () => {
+    const array = ["a1", "a2", "a3", "b1", "b2", "b3"]
+    const { callback, max, getMaxTotal } = trackConcurrency((element) => element[0])
+    const group = vi.fn((element) => element[0])
+    const options = { array, limit: 2, pool: true, group, limitPerGroup: 1 }
+    const result = await allSettled(options, callback)
+    expect(result.values).toEqual(array)
+    expect([...max.values()]).toEqual([1, 1])
+    expect(getMaxTotal()).toBe(2)
+    expect(group).toHaveBeenCalledWith("a1", 0, array)
+  })
+
+  it("calls callback with the index of the element in pool mode", async () => {
+    const array = ["a1", "a2", "b1"]
+    const callback = vi.fn((element) => sleep(1).then(() => element))
+    const options = { array, pool: true, group: (element) => element[0], limitPerGroup: 1 }
+    await allSettled(options, callback)
+    expect(callback.mock.calls.map((args) => args.slice(0, 2))).toEqual([
+      ["a1", 0],
+      ["b1", 2],
+      ["a2", 1],
+    ])
+  })
+
+  it("stops starting calls on error if abort is true in pool mode", async () => {
+    const array = ["a1", "a2", "b1", "b2"]
+    const callback = vi.fn((element) => (element === "a1" ? Promise.reject(element) : element))
+    const options = { array, pool: true, abort: true, group: (x) => x[0], limitPerGroup: 1 }
+    const result = await allSettled(options, callback)
+    expect(result.errors).toEqual(["a1"])
+    expect(callback).not.toHaveBeenCalledWith("a2", expect.anything(), expect.anything())
+  })
+
+  it("omits passed-over elements not started before an abort, shifting positions", async () => {
+    const array = ["a1", "a2", "b1", "b2"]
+    const failing = (element) =>
+      element === "b1" ? Promise.reject(element) : sleep(5).then(() => element)
+    const grouping = { group: (x) => x[0], limitPerGroup: 1 }
+    const options = { array, limit: 2, pool: true, abort: true, ...grouping }
+    const result = await allSettled(options, failing)
+    // a2 was passed over for b1 and never started
+    expect(result.values).toEqual(["a1", undefined])
+    expect(result.results.map(({ status }) => status)).toEqual(["fulfilled", "rejected"])
+    await expect(allSettled({ ...options, throws: true }, failing)).rejects.toMatchObject({
+      failures: [{ index: 2, element: "b1" }],
+    })
+  })
+
+  it("throws if limitPerGroup is invalid or group is missing", async () => {
+    const callback = vi.fn()
+    const message = "limitPerGroup must be a positive integer or Infinity"
+    const invalid = { array: [1], group: "x", limitPerGroup: 0 }
+    await expect(allSettled(invalid, callback)).rejects.toThrow(message)
+    const missing = { array: [1], limitPerGroup: 1 }
+    const required = "group is required with limitPerGroup"
+    await expect(allSettled(missing, callback)).rejects.toThrow(required)
+    expect(callback).not.toHaveBeenCalled()
+  })
+
+  it("throws for invalid options before starting the deadline timer", async () => {
+    const timers = { setTimeout: vi.fn(), clearTimeout: vi.fn() }
+    setTimers(timers)
+    try {
+      const options = { array: [1], deadline: 3000, group: "x", limitPerGroup: 0 }
+      await expect(allSettled(options)).rejects.toThrow("limitPerGroup must be")
+      expect(timers.setTimeout).not.toHaveBeenCalled()
+    } finally {
+      setTimers()
+    }
+  })
+
+  it("reports the input index of failures when elements are skipped after an abort", async () => {
+    const array = ["a0", "a1", "b2"]
+    const callback = (element) => (element === "b2" ? Promise.reject(element) : sleep(5))
+    const grouping = { group: (element) => element[0], limitPerGroup: 1 }
+    const options = { array, limit: 2, pool: true, abort: true, throws: true, ...grouping }
+    const promise = allSettled(options, callback)
+    await expect(promise).rejects.toBeInstanceOf(PromiseAllError)
+    await expect(promise).rejects.toMatchObject({
+      failures: [{ index: 2, element: "b2", error: "b2" }],
+    })
+  })
+})
+
+describe("allSettled with checkpoint", () => {
+  let directory
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), "allSettled-"))
+  })
+  afterEach(() => rm(directory, { recursive: true, force: true }))
+
+  it("skips fulfilled elements and retries rejected ones on rerun", async () => {
+    const checkpoint = join(directory, "checkpoint.json")
+    const first = vi.fn((x) => (x % 2 ? Promise.reject(new Error(`odd ${x}`)) : x * 10))
+    const options = { array: [0, 1, 2, 3, 4], limit: 2, checkpoint }
+    const firstResult = await allSettled(options, first)
+    expect(firstResult.errors).toHaveLength(2)
+    expect(first).toHaveBeenCalledTimes(5)
+    const second = vi.fn((x) => x * 10)
+    const secondResult = await allSettled(options, second)
+    expect(secondResult.values).toEqual([0, 10, 20, 30, 40])
+    expect(second.mock.calls.map((args) => args[0])).toEqual([1, 3])
+    const third = vi.fn()
+    await allSettled(options, third)
+    expect(third).not.toHaveBeenCalled()
+  })
+
+  it("saves fulfilled values even if onProgress throws", async () => {
+    const checkpoint = join(directory, "checkpoint.json")
+    const onProgress = () => {
+      throw new Error("progress")
+    }
+    const options = { array: [1, 2], checkpoint }
+    await expect(allSettled({ ...options, onProgress }, (x) => x * 10)).rejects.toThrow("progress")
+    const cb = vi.fn()
+    const { values } = await allSettled(options, cb)
+    expect(values).toEqual([10, 20])
+    expect(cb).not.toHaveBeenCalled()
+  })
+
+  it("resumes elements not processed before an abort, in pool mode", async () => {
+    const checkpoint = join(directory, "checkpoint.json")
+    const options = { array: [1, 2, 3, 4, 5, 6], limit: 1, pool: true, abort: true, checkpoint }
+    await allSettled(options, (x) => (x === 3 ? Promise.reject(new Error("crash")) : x))
+    const callback = vi.fn((x) => x)
+    const result = await allSettled(options, callback)
+    expect(result.values).toEqual([1, 2, 3, 4, 5, 6])
+    expect(callback.mock.calls.map((args) => args[0])).toEqual([3, 4, 5, 6])
+  })
+
+  it("keeps undefined values and writes the checkpoint when throwing", async () => {
+    const checkpoint = join(directory, "checkpoint.json")
+    const options = { array: [1, 2], checkpoint, throws: true }
+    const failing = (x) => (x === 2 ? Promise.reject(new Error("fail")) : undefined)
+    await expect(allSettled(options, failing)).rejects.toThrow("fail")
+    const callback = vi.fn((x) => x)
+    const result = await allSettled(options, callback)
+    expect(result.values).toEqual([undefined, 2])
+    expect(callback).toHaveBeenCalledTimes(1)
+  })
+
+  it("writes while running only once checkpointInterval has passed", async () => {
+    const checkpoint = join(directory, "checkpoint.json")
+    const readSaved = async (path) => {
+      // give the last write time to finish
+      await sleep(20)
+      const { fulfilled } = JSON.parse((await readFile(path)).toString())
+      return Object.keys(fulfilled)
+    }
+    const frequent = { array: [1, 2, 3], limit: 1, checkpoint, checkpointInterval: 0 }
+    let saved
+    await allSettled(frequent, async (x) => {
+      if (x === 3) {
+        saved = await readSaved(checkpoint)
+      }
+      return x
+    })
+    expect(saved).toEqual(["0", "1"])
+    const other = join(directory, "other.json")
+    const infrequent = { array: [1, 2], limit: 1, checkpoint: other }
+    const { errors } = await allSettled(infrequent, (x) => x === 2 && readSaved(other))
+    expect(errors[0].code).toBe("ENOENT")
+  })
+
+  it("resumes the right elements when groups start calls out of order", async () => {
+    const checkpoint = join(directory, "checkpoint.json")
+    const array = ["a1", "a2", "b1", "b2"]
+    const group = (element) => element[0]
+    const options = { array, limit: 2, pool: true, group, limitPerGroup: 1, checkpoint }
+    await allSettled(options, (x) => (x === "a2" ? Promise.reject(new Error(x)) : x.toUpperCase()))
+    const callback = vi.fn((x) => x.toUpperCase())
+    const result = await allSettled(options, callback)
+    expect(result.values).toEqual(["A1", "A2", "B1", "B2"])
+    expect(callback.mock.calls.map((args) => args[0])).toEqual(["a2"])
+  })
+
+  it("starts over if the checkpoint was cut off by a crash", async () => {
+    const checkpoint = join(directory, "checkpoint.json")
+    const compressed = join(directory, "checkpoint.json.gz")
+    const contents = JSON.stringify({ fulfilled: { 0: { value: "a" }, 1: { value: "b" } } })
+    await writeFile(checkpoint, contents.slice(0, 20))
+    await writeFile(compressed, gzipSync(contents).subarray(0, 20))
+    for (const path of [checkpoint, compressed]) {
+      const callback = vi.fn((x) => x)
+      const result = await allSettled({ array: ["a", "b"], checkpoint: path }, callback)
+      expect(result.values).toEqual(["a", "b"])
+      expect(callback).toHaveBeenCalledTimes(2)
+    }
+    const saved = JSON.parse((await readFile(checkpoint)).toString())
+    expect(saved).toEqual({ fulfilled: { 0: { value: "a" }, 1: { value: "b" } } })
+  })
+
+  it("starts over if the checkpoint is valid JSON but not a checkpoint", async () => {
+    const checkpoint = join(directory, "checkpoint.json")
+    for (const contents of ["null", "1", '{"fulfilled":null}']) {
+      await writeFile(checkpoint, contents)
+      const callback = vi.fn((x) => x)
+      const result = await allSettled({ array: ["a", "b"], checkpoint }, callback)
+      expect(result.values).toEqual(["a", "b"])
+      expect(callback).toHaveBeenCalledTimes(2)
+    }
+  })
+
+  it("writes the checkpoint atomically without leaving temporary files", async () => {
+    const checkpoint = join(directory, "checkpoint.json")
+    const options = { array: [1, 2, 3], limit: 1, checkpoint, checkpointInterval: 0 }
+    await allSettled(options, (x) => x)
+    expect(await readdir(directory)).toEqual(["checkpoint.json"])
+  })
+
+  it("compresses the checkpoint if the path ends with .gz", async () => {
+    const checkpoint = join(directory, "checkpoint.json.gz")
+    await allSettled({ array: ["a"], checkpoint }, (x) => x)
+    const saved = JSON.parse(gunzipSync(await readFile(checkpoint)).toString())
+    expect(saved).toEqual({ fulfilled: { 0: { value: "a" } } })
+  })
+})
+
+describe("consoleProgress", () => {
+  const progress = {
+    started: 3,
+    fulfilled: 1,
+    rejected: 1,
+    settled: 2,
+    total: 4,
+    done: false,
+    elapsed: 2000,
+    throughput: 1,
+    eta: 2000,
+  }
+
+  it("logs a summary of progress", () => {
+    const log = vi.fn()
+    consoleProgress({ log })(progress)
+    expect(log).toHaveBeenCalledWith(
+      "2/4 settled (1 fulfilled, 1 rejected, 1 in flight) 1.0/s elapsed 2.0s eta 2.0s"
+    )
+  })
+
+  it("omits eta and shows unknown total", () => {
+    const log = vi.fn()
+    consoleProgress({ log })({ ...progress, total: undefined, eta: undefined })
+    expect(log).toHaveBeenCalledWith(
+      "2/? settled (1 fulfilled, 1 rejected, 1 in flight) 1.0/s elapsed 2.0s"
+    )
+  })
+
+  it("logs at most once per interval except for the final call", () => {
+    const log = vi.fn()
+    const reporter = consoleProgress({ log, interval: 10000 })
+    reporter(progress)
+    reporter({ ...progress, settled: 3 })
+    expect(log).toHaveBeenCalledTimes(1)
+    reporter({ ...progress, settled: 4, done: true })
+    expect(log).toHaveBeenCalledTimes(2)
+  })
+
+  it("logs the final call from allSettled when the total is unknown", async () => {
+    const log = vi.fn()
+    function* generate() {
+      yield 1
+      yield 2
+    }
+    const onProgress = consoleProgress({ log, interval: 10000 })
+    await allSettled({ iterable: generate(), onProgress }, (x) => x)
+    expect(log).toHaveBeenCalledTimes(2)
+    expect(log).toHaveBeenLastCalledWith(expect.stringMatching(/^2\/\? settled/))
+  })
+
+  it("defaults to console.log", () => {
+    const spy = vi.spyOn(console, "log").mockImplementation(() => {})
+    try {
+      consoleProgress()(progress)
+      expect(spy).toHaveBeenCalledTimes(1)
+    } finally {
+      spy.mockRestore()
+    }
+  })
+})
+
+describe("mapConcurrent", () => {
+  async function collect(generator) {
+    const results = []
+    for await (const result of generator) {
+      results.push(result)
+    }
+    return results
+  }
+
+  async function* generate(elements, pulled = []) {
+    for (const element of elements) {
+      pulled.push(element)
+      yield element
+    }
+  }
+
+  it("yields results in completion order by default", async () => {
+    const cb = (ms) => sleep(ms).then(() => ms * 2)
+    const results = await collect(mapConcurrent(generate([20, 1, 10]), { limit: 3 }, cb))
+    expect(results).toEqual([
+      { status: "fulfilled", value: 2, index: 1 },
+      { status: "fulfilled", value: 20, index: 2 },
+      { status: "fulfilled", value: 40, index: 0 },
+    ])
+  })
+
+  it("yields results in input order if ordered=true", async () => {
+    const cb = (ms) => sleep(ms).then(() => ms * 2)
+    const generator = mapConcurrent(generate([20, 1, 10]), { limit: 3, ordered: true }, cb)
+    const results = await collect(generator)
+    expect(results.map(({ index }) => index)).toEqual([0, 1, 2])
+    expect(results.map(({ value }) => value)).toEqual([40, 2, 20])
+  })
+
+  it("accepts a string as an iterable", async () => {
+    const results = await collect(mapConcurrent("ab", { limit: 1, ordered: true }, (x) => x))
+    expect(results.map(({ value }) => value)).toEqual(["a", "b"])
+  })
+
+  it("throws a TypeError for a non-iterable", async () => {
+    await expect(collect(mapConcurrent(1, { limit: 1 }, (x) => x))).rejects.toThrow(TypeError)
+  })
+
+  it("yields rejected results without stopping", async () => {
+    const cb = (x) => (x === 2 ? Promise.reject("fail") : x)
+    const results = await collect(mapConcurrent([1, 2, 3], { limit: 1 }, cb))
+    expect(results).toEqual([
+      { status: "fulfilled", value: 1, index: 0 },
+      { status: "rejected", reason: "fail", index: 1 },
+      { status: "fulfilled", value: 3, index: 2 },
+    ])
+  })
+
+  it("treats synchronous throws as rejected results", async () => {
+    const cb = () => {
+      throw new Error("sync")
+    }
+    const [result] = await collect(mapConcurrent([1], { limit: 1 }, cb))
+    expect(result.status).toBe("rejected")
+    expect(result.reason.message).toBe("sync")
+  })
+
+  it("never has more than limit calls in flight", async () => {
+    let inFlight = 0
+    let maxInFlight = 0
+    const cb = async (ms) => {
+      inFlight++
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      await sleep(ms)
+      inFlight--
+    }
+    await collect(mapConcurrent(generate([3, 1, 2, 1, 3, 1]), { limit: 2 }, cb))
+    expect(maxInFlight).toBe(2)
+  })
+
+  it("pulls input lazily and applies backpressure", async () => {
+    const pulled = []
+    const generator = mapConcurrent(generate([1, 2, 3, 4, 5], pulled), { limit: 2 }, (x) => x)
+    await generator.next()
+    expect(pulled).toEqual([1, 2])
+    await generator.next()
+    expect(pulled).toEqual([1, 2, 3])
+  })
+
+  it("closes the input iterable if the consumer stops early", async () => {
+    const finished = vi.fn()
+    async function* input() {
+      try {
+        yield 1
+        yield 2
+        yield 3
+      } finally {
+        finished()
+      }
+    }
+    for await (const result of mapConcurrent(input(), { limit: 1 }, (x) => x)) {
+      expect(result.value).toBe(1)
+      break
+    }
+    expect(finished).toHaveBeenCalled()
+  })
+
+  it("accepts synchronous iterables", async () => {
+    const generator = mapConcurrent(new Set([1, 2]), { limit: 2, ordered: true }, (x) => x)
+    const results = await collect(generator)
+    expect(results.map(({ value }) => value)).toEqual([1, 2])
+  })
+
+  it("passes index and signal to callback", async () => {
+    const controller = new AbortController()
+    const cb = vi.fn((x) => x)
+    const options = { limit: 1, signal: controller.signal }
+    await collect(mapConcurrent(["a", "b"], options, cb))
+    expect(cb.mock.calls).toEqual([
+      ["a", 0, controller.signal],
+      ["b", 1, controller.signal],
+    ])
+  })
+
+  it("throws the signal's reason when aborted", async () => {
+    const controller = new AbortController()
+    const cb = (ms) => sleep(ms)
+    const generator = mapConcurrent([1, 1000], { limit: 2, signal: controller.signal }, cb)
+    await generator.next()
+    controller.abort("reason")
+    await expect(generator.next()).rejects.toBe("reason")
+  })
+
+  it("throws when aborted while waiting for an iterable that never yields", async () => {
+    const controller = new AbortController()
+    const finished = vi.fn()
+    async function* stalled() {
+      try {
+        yield 1
+        await new Promise(() => {})
+      } finally {
+        finished()
+      }
+    }
+    const generator = mapConcurrent(stalled(), { limit: 1, signal: controller.signal }, (x) => x)
+    await generator.next()
+    const promise = generator.next()
+    controller.abort("reason")
+    await expect(promise).rejects.toBe("reason")
+    // the iterable cannot run its cleanup until its pending next() settles
+    expect(finished).not.toHaveBeenCalled()
+  })
+
+  it("throws if limit is not a positive integer", async () => {
+    await expect(mapConcurrent([1], { limit: 0 }, (x) => x).next()).rejects.toThrow(
+      "limit must be a positive integer"
+    )
+  })
+})
+
+describe("memoizeAsync", () => {
+  afterEach(() => setNow())
+
+  it("shares one in-flight promise between concurrent calls with the same key", async () => {
+    const fn = vi.fn(async (x) => {
+      await sleep(1)
+      return x * 2
+    })
+    const memoized = memoizeAsync(fn)
+    const results = await Promise.all([memoized(1), memoized(1), memoized(2)])
+    expect(results).toEqual([2, 2, 4])
+    expect(fn).toHaveBeenCalledTimes(2)
+  })
+
+  it("caches resolved values until ttl passes according to now()", async () => {
+    let current = new Date("2024-01-01T00:00:00Z")
+    setNow(() => current)
+    const fn = vi.fn(async (x) => x)
+    const memoized = memoizeAsync(fn, { ttl: 1000 })
+    await memoized(1)
+    current = new Date("2024-01-01T00:00:00.999Z")
+    await memoized(1)
+    expect(fn).toHaveBeenCalledTimes(1)
+    current = new Date("2024-01-01T00:00:01Z")
+    await memoized(1)
+    expect(fn).toHaveBeenCalledTimes(2)
+  })
+
+  it("does not cache rejections by default", async () => {
+    const fn = vi.fn().mockRejectedValueOnce(new Error("fail")).mockResolvedValue("ok")
+    const memoized = memoizeAsync(fn)
+    const first = memoized(1)
+    const concurrent = memoized(1)
+    expect(concurrent).toBe(first)
+    await expect(first).rejects.toThrow("fail")
+    await expect(memoized(1)).resolves.toBe("ok")
+    expect(fn).toHaveBeenCalledTimes(2)
+  })
+
+  it("caches rejections if cacheRejections=true", async () => {
+    const fn = vi.fn().mockRejectedValueOnce(new Error("fail")).mockResolvedValue("ok")
+    const memoized = memoizeAsync(fn, { cacheRejections: true })
+    await expect(memoized(1)).rejects.toThrow("fail")
+    await expect(memoized(1)).rejects.toThrow("fail")
+    expect(fn).toHaveBeenCalledTimes(1)
+  })
+
+  it("converts synchronous throws to rejections", async () => {
+    const memoized = memoizeAsync(() => {
+      throw new Error("sync")
+    })
+    await expect(memoized(1)).rejects.toThrow("sync")
+  })
+
+  it("uses key to compute the cache key from all arguments", async () => {
+    const fn = vi.fn(async (a, b) => a + b)
+    const memoized = memoizeAsync(fn, { key: (a, b) => `${a},${b}` })
+    expect(await memoized(1, 2)).toBe(3)
+    expect(await memoized(1, 3)).toBe(4)
+    expect(await memoized(1, 2)).toBe(3)
+    expect(fn).toHaveBeenCalledTimes(2)
+  })
+
+  it("evicts the least recently used key when maxSize is exceeded", async () => {
+    const fn = vi.fn(async (x) => x)
+    const memoized = memoizeAsync(fn, { maxSize: 2 })
+    await memoized(1)
+    await memoized(2)
+    await memoized(1) // 2 is now least recently used
+    await memoized(3)
+    expect(fn).toHaveBeenCalledTimes(3)
+    await memoized(1)
+    expect(fn).toHaveBeenCalledTimes(3)
+    await memoized(2)
+    expect(fn).toHaveBeenCalledTimes(4)
+  })
+
+  it("supports clear and delete", async () => {
+    const fn = vi.fn(async (x) => x)
+    const memoized = memoizeAsync(fn)
+    await memoized(1)
+    await memoized(2)
+    expect(memoized.delete(1)).toBe(true)
+    await memoized(1)
+    await memoized(2)
+    expect(fn).toHaveBeenCalledTimes(3)
+    memoized.clear()
+    await memoized(2)
+    expect(fn).toHaveBeenCalledTimes(4)
+  })
+})
+
+describe("batchLoader", () => {
+  it("coalesces loads in the same tick into one batch call", async () => {
+    const batchFn = vi.fn((keys) => keys.map((k) => k * 10))
+    const load = batchLoader(batchFn)
+    const results = await Promise.all([load(1), load(2), load(3)])
+    expect(results).toEqual([10, 20, 30])
+    expect(batchFn.mock.calls).toEqual([[[1, 2, 3]]])
+  })
+
+  it("splits batches by maxBatchSize", async () => {
+    const batchFn = vi.fn((keys) => keys)
+    const load = batchLoader(batchFn, { maxBatchSize: 2 })
+    await Promise.all([1, 2, 3, 4, 5].map(load))
+    expect(batchFn.mock.calls).toEqual([[[1, 2]], [[3, 4]], [[5]]])
+  })
+
+  it("includes loads made within maxDelayMs of the first", async () => {
+    const clock = createVirtualClock()
+    clock.install()
+    try {
+      const batchFn = vi.fn((keys) => keys)
+      const load = batchLoader(batchFn, { maxDelayMs: 10 })
+      const first = load("a")
+      await clock.advance(5)
+      const second = load("b")
+      await clock.advance(5)
+      await expect(Promise.all([first, second])).resolves.toEqual(["a", "b"])
+      expect(batchFn.mock.calls).toEqual([[["a", "b"]]])
+      const third = load("c")
+      await clock.advance(10)
+      await third
+      expect(batchFn).toHaveBeenLastCalledWith(["c"])
+    } finally {
+      clock.uninstall()
+    }
+  })
+
+  it("rejects only the loads whose result is an Error", async () => {
+    const error = new Error("not found")
+    const load = batchLoader((keys) => keys.map((k) => (k === 2 ? error : k)))
+    const results = await Promise.allSettled([load(1), load(2), load(3)])
+    expect(results).toEqual([
+      { status: "fulfilled", value: 1 },
+      { status: "rejected", reason: error },
+      { status: "fulfilled", value: 3 },
+    ])
+  })
+
+  it("rejects all loads in a batch if batchFn throws or returns the wrong number of results", async () => {
+    const error = new Error("fail")
+    const failing = batchLoader(() => Promise.reject(error))
+    await expect(Promise.all([failing(1), failing(2)])).rejects.toBe(error)
+    const short = batchLoader((keys) => keys.slice(1))
+    const message = "batchFn must return an array with one result per key"
+    await expect(short(1)).rejects.toThrow(message)
+  })
+
+  it("caches results by key and does not cache rejections", async () => {
+    let fail = true
+    const batchFn = vi.fn((keys) => keys.map((k) => (fail ? new Error("fail") : k.id)))
+    const load = batchLoader(batchFn, { key: (k) => k.id })
+    await expect(load({ id: 1 })).rejects.toThrow("fail")
+    fail = false
+    await expect(load({ id: 1 })).resolves.toBe(1)
+    await expect(load({ id: 1 })).resolves.toBe(1)
+    expect(batchFn).toHaveBeenCalledTimes(2)
+    expect(load.delete({ id: 1 })).toBe(true)
+    await load({ id: 1 })
+    load.clear()
+    await load({ id: 1 })
+    expect(batchFn).toHaveBeenCalledTimes(4)
+  })
+
+  it("works inside allSettled callbacks", async () => {
+    const batchFn = vi.fn((keys) => keys.map((k) => k + 1))
+    const load = batchLoader(batchFn, { maxBatchSize: 3 })
+    const result = await allSettled({ array: [1, 2, 3, 4, 5, 6] }, (x) => load(x))
+    expect(result.values).toEqual([2, 3, 4, 5, 6, 7])
+    expect(batchFn).toHaveBeenCalledTimes(2)
+  })
+
+  it("throws if maxBatchSize is invalid", () => {
+    const message = "maxBatchSize must be a positive integer or Infinity"
+    expect(() => batchLoader(vi.fn(), { maxBatchSize: 0 })).toThrow(message)
+  })
+})
+
+describe("circuitBreaker", () => {
+  const fail = () => Promise.reject(new Error("down"))
+
+  it("passes arguments through and returns the result while closed", async () => {
+    const fn = vi.fn(async (a, b) => a + b)
+    const breaker = circuitBreaker(fn)
+    await expect(breaker(1, 2)).resolves.toBe(3)
+    expect(fn).toHaveBeenCalledWith(1, 2)
+    expect(breaker.state).toBe("closed")
+  })
+
+  it("opens after failureThreshold consecutive failures and then rejects fast", async () => {
+    const fn = vi.fn(fail)
+    const breaker = circuitBreaker(fn, { failureThreshold: 2 })
+    await expect(breaker()).rejects.toThrow("down")
+    expect(breaker.state).toBe("closed")
+    await expect(breaker()).rejects.toThrow("down")
+    expect(breaker.state).toBe("open")
+    await expect(breaker()).rejects.toBeInstanceOf(CircuitOpenError)
+    expect(fn).toHaveBeenCalledTimes(2)
+  })
+
+  it("resets the failure count after a success", async () => {
+    const fn = vi.fn()
+      .mockRejectedValueOnce(new Error("down"))
+      .mockResolvedValueOnce("ok")
+      .mockRejectedValueOnce(new Error("down"))
+    const breaker = circuitBreaker(fn, { failureThreshold: 2 })
+    await expect(breaker()).rejects.toThrow("down")
+    await breaker()
+    await expect(breaker()).rejects.toThrow("down")
+    expect(breaker.state).toBe("closed")
+  })
+
+  it("half-opens after resetTimeout and closes if the trial call succeeds", async () => {
+    const fn = vi.fn().mockRejectedValueOnce(new Error("down")).mockResolvedValue("ok")
+    const onStateChange = vi.fn()
+    const breaker = circuitBreaker(fn, { failureThreshold: 1, resetTimeout: 5, onStateChange })
+    await expect(breaker()).rejects.toThrow("down")
+    await sleep(10)
+    await expect(breaker()).resolves.toBe("ok")
+    expect(breaker.state).toBe("closed")
+    expect(onStateChange.mock.calls).toEqual([
+      ["open", "closed"],
+      ["half-open", "open"],
+      ["closed", "half-open"],
+    ])
+  })
+
+  it("ignores errors from onStateChange", async () => {
+    const fn = vi.fn().mockRejectedValueOnce(new Error("down")).mockResolvedValue("ok")
+    const onStateChange = vi.fn(() => {
+      throw new Error("listener")
+    })
+    const breaker = circuitBreaker(fn, { failureThreshold: 1, resetTimeout: 5, onStateChange })
+    await expect(breaker()).rejects.toThrow("down")
+    expect(breaker.state).toBe("open")
+    await sleep(10)
+    await expect(breaker()).resolves.toBe("ok")
+    expect(breaker.state).toBe("closed")
+    expect(onStateChange).toHaveBeenCalledTimes(3)
+  })
+
+  it("ignores rejections from an async onStateChange", async () => {
+    const unhandled = vi.fn()
+    process.on("unhandledRejection", unhandled)
+    try {
+      const onStateChange = async () => {
+        throw new Error("listener")
+      }
+      const breaker = circuitBreaker(fail, { failureThreshold: 1, onStateChange })
+      await expect(breaker()).rejects.toThrow("down")
+      await sleep(10)
+      expect(unhandled).not.toHaveBeenCalled()
+    } finally {
+      process.off("unhandledRejection", unhandled)
+    }
+  })
+
+  it("opens again if a trial call fails", async () => {
+    const fn = vi.fn(fail)
+    const breaker = circuitBreaker(fn, { failureThreshold: 1, resetTimeout: 5 })
+    await expect(breaker()).rejects.toThrow("down")
+    await sleep(10)
+    await expect(breaker()).rejects.toThrow("down")
+    expect(breaker.state).toBe("open")
+    await expect(breaker()).rejects.toBeInstanceOf(CircuitOpenError)
+  })
+
+  it("allows only halfOpenMax trial calls and closes once all succeed", async () => {
+    let shouldFail = true
+    const fn = vi.fn(async () => {
+      if (shouldFail) {
+        throw new Error("down")
+      }
+      await sleep(1)
+      return "ok"
+    })
+    const breaker = circuitBreaker(fn, { failureThreshold: 1, resetTimeout: 5, halfOpenMax: 2 })
+    await expect(breaker()).rejects.toThrow("down")
+    shouldFail = false
+    await sleep(10)
+    const trials = [breaker(), breaker(), breaker()]
+    const results = await Promise.allSettled(trials)
+    expect(results.map(({ status }) => status)).toEqual(["fulfilled", "fulfilled", "rejected"])
+    expect(results[2].reason).toBeInstanceOf(CircuitOpenError)
+    expect(breaker.state).toBe("closed")
+  })
+
+  it("ignores outcomes of calls started before the latest state change", async () => {
+    const fn = vi.fn(async (ms) => {
+      await sleep(ms)
+      throw new Error("down")
+    })
+    const onStateChange = vi.fn()
+    const breaker = circuitBreaker(fn, { failureThreshold: 1, onStateChange })
+    const slow = breaker(10)
+    await expect(breaker(1)).rejects.toThrow("down")
+    await expect(slow).rejects.toThrow("down")
+    expect(onStateChange).toHaveBeenCalledTimes(1)
+  })
+
+  it("stops calling a dead dependency inside allSettled", async () => {
+    const fn = vi.fn(fail)
+    const breaker = circuitBreaker(fn, { failureThreshold: 3 })
+    const result = await allSettled({ array: [1, 2, 3, 4, 5, 6], limit: 1, pool: true }, breaker)
+    expect(fn).toHaveBeenCalledTimes(3)
+    expect(result.errors.slice(3).every((error) => error instanceof CircuitOpenError)).toBe(true)
+  })
+})
+
+describe("JobQueue", () => {
+  it("runs tasks and resolves with their results", async () => {
+    const queue = new JobQueue()
+    await expect(queue.add(() => 1)).resolves.toBe(1)
+    await expect(queue.add(async () => 2)).resolves.toBe(2)
+  })
+
+  it("rejects with the task's error", async () => {
+    const queue = new JobQueue()
+    await expect(queue.add(() => Promise.reject(new Error("fail")))).rejects.toThrow("fail")
+    await expect(
+      queue.add(() => {
+        throw new Error("sync")
+      })
+    ).rejects.toThrow("sync")
+  })
+
+  it("limits the number of tasks running at once", async () => {
+    const queue = new JobQueue({ concurrency: 2 })
+    let running = 0
+    let maxRunning = 0
+    const task = async () => {
+      running++
+      maxRunning = Math.max(maxRunning, running)
+      await sleep(2)
+      running--
+    }
+    const promises = [1, 2, 3, 4, 5].map(() => queue.add(task))
+    expect(queue.pending).toBe(2)
+    expect(queue.size).toBe(3)
+    await Promise.all(promises)
+    expect(maxRunning).toBe(2)
+  })
+
+  it("starts higher priority tasks first and keeps order for equal priorities", async () => {
+    const queue = new JobQueue({ concurrency: 1, paused: true })
+    const order = []
+    const add = (name, priority) => queue.add(() => order.push(name), { priority })
+    add("low", -1)
+    add("a", 0)
+    add("urgent", 10)
+    add("b", 0)
+    add("c")
+    queue.resume()
+    await queue.onIdle()
+    expect(order).toEqual(["urgent", "a", "b", "c", "low"])
+  })
+
+  it("lets urgent tasks jump the line while other tasks are running", async () => {
+    const queue = new JobQueue({ concurrency: 1 })
+    const order = []
+    queue.add(() => sleep(2).then(() => order.push("first")))
+    queue.add(() => order.push("normal"))
+    queue.add(() => order.push("urgent"), { priority: 1 })
+    await queue.onIdle()
+    expect(order).toEqual(["first", "urgent", "normal"])
+  })
+
+  it("does not start tasks while paused", async () => {
+    const queue = new JobQueue()
+    queue.pause()
+    expect(queue.isPaused).toBe(true)
+    const task = vi.fn()
+    const promise = queue.add(task)
+    await sleep(1)
+    expect(task).not.toHaveBeenCalled()
+    expect(queue.size).toBe(1)
+    queue.resume()
+    await promise
+    expect(task).toHaveBeenCalled()
+  })
+
+  it("resolves onDrain when no tasks are waiting and onIdle when none are running", async () => {
+    const queue = new JobQueue({ concurrency: 1 })
+    const drained = vi.fn()
+    const idle = vi.fn()
+    queue.add(() => sleep(5))
+    queue.add(() => sleep(5))
+    queue.onDrain().then(drained)
+    queue.onIdle().then(idle)
+    await sleep(7)
+    expect(drained).toHaveBeenCalled()
+    expect(idle).not.toHaveBeenCalled()
+    expect(queue.pending).toBe(1)
+    await queue.onIdle()
+    expect(idle).toHaveBeenCalled()
+  })
+
+  it("resolves onDrain and onIdle immediately when empty", async () => {
+    const queue = new JobQueue()
+    await expect(queue.onDrain()).resolves.toBeUndefined()
+    await expect(queue.onIdle()).resolves.toBeUndefined()
+  })
+
+  it("throws if concurrency is not a positive integer", () => {
+    const message = "concurrency must be a positive integer or Infinity"
+    expect(() => new JobQueue({ concurrency: 0 })).toThrow(message)
+  })
+})
+
+describe("allPatiently", () => {
+  it("returns flattened values when all promises resolve", async () => {
+    const promises = [Promise.resolve([1]), Promise.resolve([2, 3])]
+    const result = await allPatiently(promises, { flatten: true })
+    expect(result).toEqual([1, 2, 3])
+  })
+
+  it("throws with joined messages when any promise rejects", async () => {
+    const bad = new Error("bad")
+    const promises = [Promise.resolve(1), Promise.reject(bad), Promise.reject("oops")]
+    await expect(allPatiently(promises, { flatten: false })).rejects.toThrow("bad; oops")
+  })
+})
+
+describe("allPatiently with signal", () => {
+  it("rejects with the signal's reason when aborted", async () => {
+    const controller = new AbortController()
+    const promise = allPatiently([sleep(1000)], { signal: controller.signal })
+    controller.abort("reason")
+    await expect(promise).rejects.toBe("reason")
+  })
+})
+
+describe("allSettledProps", () => {
+  it("returns values, errors, and results by key", async () => {
+    const error = new Error("fail")
+    const result = await allSettledProps({
+      users: Promise.resolve(["a"]),
+      orders: Promise.reject(error),
+      count: 3,
+    })
+    expect(result.values).toEqual({ users: ["a"], orders: undefined, count: 3 })
+    expect(result.errors).toEqual({ orders: error })
+    expect(result.results).toEqual({
+      users: { status: "fulfilled", value: ["a"] },
+      orders: { status: "rejected", reason: error },
+      count: { status: "fulfilled", value: 3 },
+    })
+  })
+
+  it("calls functions with at most limit in flight", async () => {
+    let running = 0
+    let maxRunning = 0
+    const task = (value) => async () => {
+      maxRunning = Math.max(maxRunning, ++running)
+      await sleep(2)
+      running--
+      return value
+    }
+    const object = { a: task(1), b: task(2), c: task(3) }
+    const { values } = await allSettledProps(object, { limit: 2 })
+    expect(values).toEqual({ a: 1, b: 2, c: 3 })
+    expect(maxRunning).toBe(2)
+  })
+
+  it("handles a promise that rejects before its turn with limit", async () => {
+    const unhandled = vi.fn()
+    process.on("unhandledRejection", unhandled)
+    try {
+      const object = { a: () => sleep(20).then(() => "a"), b: Promise.reject(new Error("b")) }
+      const { values, errors } = await allSettledProps(object, { limit: 1 })
+      expect(values).toEqual({ a: "a", b: undefined })
+      expect(errors).toEqual({ b: new Error("b") })
+      expect(unhandled).not.toHaveBeenCalled()
+    } finally {
+      process.off("unhandledRejection", unhandled)
+    }
+  })
+
+  it("throws a PromiseAllError with keys as elements if throws is true", async () => {
+    const object = { ok: 1, bad: Promise.reject(new Error("bad")) }
+    const error = await allSettledProps(object, { throws: true }).catch((e) => e)
+    expect(error).toBeInstanceOf(PromiseAllError)
+    expect(error.failures).toEqual([{ index: 1, element: "bad", error: new Error("bad") }])
+  })
+
+  it("passes signal to functions", async () => {
+    const controller = new AbortController()
+    const fn = vi.fn().mockResolvedValue(1)
+    await allSettledProps({ fn }, { signal: controller.signal })
+    expect(fn).toHaveBeenCalledWith(expect.any(AbortSignal))
+    const noSignal = vi.fn()
+    await allSettledProps({ noSignal })
+    expect(noSignal).toHaveBeenCalledWith()
+  })
+})
+
+describe("allProps", () => {
+  it("returns resolved values by key", async () => {
+    const values = await allProps({ a: Promise.resolve(1), b: () => 2, c: "three" })
+    expect(values).toEqual({ a: 1, b: 2, c: "three" })
+  })
+
+  it("throws a PromiseAllError if any value rejects", async () => {
+    const object = { a: Promise.reject(new Error("a")), b: () => Promise.reject(new Error("b")) }
+    const error = await allProps(object, { limit: 1 }).catch((e) => e)
+    expect(error).toBeInstanceOf(PromiseAllError)
+    expect(error.message).toBe("a; b")
+  })
+})
+
+describe("intervalLimiter", () => {
+  it("does not delay until limit is reached", async () => {
+    const limiter = intervalLimiter({ limit: 3, interval: 10 })
+    const before = Date.now()
+    await limiter(1)
+    await limiter(1)
+    await limiter(1) // should reach limit here, triggers wait
+    const after = Date.now()
+    expect(after - before).toBeGreaterThanOrEqual(10)
+  })
+
+  it("resets count and interval after waiting", async () => {
+    const limiter = intervalLimiter({ limit: 2, interval: 5 })
+    const before = Date.now()
+    await limiter(1)
     await limiter(1) // triggers wait
     const afterFirst = Date.now()
     await limiter(1)
@@ -307,16 +2513,126 @@ describe("intervalLimiter", () => {
   })
 })
 
+describe("intervalLimiter with signal", () => {
+  it("rejects with the signal's reason while waiting", async () => {
+    const controller = new AbortController()
+    const limiter = intervalLimiter({ limit: 1, interval: 1000 })
+    const before = Date.now()
+    const promise = limiter(1, { signal: controller.signal })
+    controller.abort("reason")
+    await expect(promise).rejects.toBe("reason")
+    expect(Date.now() - before).toBeLessThan(100)
+  })
+})
+
+describe("intervalLimiter with virtual clock", () => {
+  const clock = createVirtualClock({ start: new Date("2024-01-01T00:00:00Z") })
+  afterEach(() => clock.uninstall())
+
+  it("waits for the rest of the interval in virtual time", async () => {
+    clock.install()
+    const limiter = intervalLimiter({ limit: 2, interval: 60 * 1000 })
+    await clock.advance(10 * 1000)
+    const done = vi.fn()
+    limiter(2).then(done)
+    await clock.advance(49 * 1000)
+    expect(done).not.toHaveBeenCalled()
+    await clock.advance(1000)
+    expect(done).toHaveBeenCalled()
+  })
+})
+
 describe("alert", () => {
+  // returns the error thrown by fn
+  const catchError = (fn) => {
+    try {
+      fn()
+    } catch (error) {
+      return error
+    }
+    return undefined
+  }
+
   it("returns result if errors is empty or missing", () => {
     expect(alert({ errors: [] })).toEqual({ errors: [] })
     expect(alert({})).toEqual({})
     expect(alert(undefined)).toBeUndefined()
   })
 
-  it("throws if errors is non-empty", () => {
-    const errors = ["fail", "bad"]
-    expect(() => alert({ errors })).toThrow(JSON.stringify(errors, undefined, 2))
+  it("throws an AlertError with the formatted report if errors is non-empty", () => {
+    const errors = ["fail", "bad", "fail"]
+    const error = catchError(() => alert({ errors }))
+    expect(error).toBeInstanceOf(AlertError)
+    expect(error.message).toBe(formatErrors(errors))
+    expect(error.report).toEqual(formatErrors(errors, { format: "object" }))
+    expect(error.errors).toEqual(errors)
+  })
+
+  it("passes stacks to formatErrors", () => {
+    const errors = [new Error("a"), new Error("b")]
+    const { report } = catchError(() => alert({ errors }, { stacks: 1 }))
+    expect(report.groups.map((group) => group.stack !== undefined)).toEqual([true, false])
+  })
+})
+
+describe("formatErrors", () => {
+  it("groups identical messages with counts in order of first occurrence", () => {
+    const errors = [
+      new Error("ECONNRESET"),
+      new TypeError("x is undefined"),
+      new Error("ECONNRESET"),
+      "ECONNRESET",
+    ]
+    const report = formatErrors(errors, { format: "object" })
+    expect(report.count).toBe(4)
+    expect(report.groups.map(({ message, count }) => [message, count])).toEqual([
+      ["Error: ECONNRESET", 2],
+      ["TypeError: x is undefined", 1],
+      ["ECONNRESET", 1],
+    ])
+  })
+
+  it("includes stacks for the first groups only", () => {
+    const errors = [new Error("a"), new Error("a"), new Error("b"), new Error("c")]
+    const { groups } = formatErrors(errors, { stacks: 2, format: "object" })
+    expect(groups[0].stack).toBe(errors[0].stack)
+    expect(groups[1].stack).toBe(errors[2].stack)
+    expect(groups[2].stack).toBeUndefined()
+  })
+
+  it("follows cause chains and groups by them", () => {
+    const root = new Error("root")
+    const errors = [
+      new Error("outer", { cause: root }),
+      new Error("outer", { cause: new Error("other") }),
+      new Error("outer", { cause: root }),
+    ]
+    const { groups } = formatErrors(errors, { format: "object" })
+    expect(groups.map(({ causes, count }) => [causes, count])).toEqual([
+      [["Error: root"], 2],
+      [["Error: other"], 1],
+    ])
+  })
+
+  it("expands AggregateErrors, including nested ones", () => {
+    const inner = new AggregateError([new Error("a"), new Error("b")], "inner")
+    const errors = [new PromiseAllError("outer", [{ index: 0, element: 1, error: inner }]), "c"]
+    const report = formatErrors(errors, { format: "object" })
+    expect(report.count).toBe(3)
+    expect(report.groups.map((group) => group.message)).toEqual(["Error: a", "Error: b", "c"])
+  })
+
+  it("formats text with counts, causes, and stacks", () => {
+    const error = new Error("outer", { cause: "root" })
+    const text = formatErrors([error, error, "other"], { stacks: 1 })
+    const lines = text.split("\n")
+    expect(lines.slice(0, 3)).toEqual([
+      "3 error(s), 2 unique:",
+      "  2x Error: outer",
+      "    caused by: root",
+    ])
+    expect(lines[3]).toMatch(/^ {4}at /)
+    expect(lines[lines.length - 1]).toBe("  1x other")
   })
 })
 
@@ -362,6 +2678,118 @@ describe("throwFirstReject", () => {
   })
 })
 
+describe("RetryError", () => {
+  it("is an Error subclass that holds errors", () => {
+    const errors = [new Error("a"), "b"]
+    const err = new RetryError("oops", errors)
+    expect(err).toBeInstanceOf(Error)
+    expect(err.message).toBe("oops")
+    expect(err.errors).toBe(errors)
+    expect(err.cause).toBe("b")
+  })
+})
+
+describe("TimeoutError", () => {
+  it("is an Error subclass", () => {
+    const err = new TimeoutError("oops")
+    expect(err).toBeInstanceOf(Error)
+    expect(err).toBeInstanceOf(TimeoutError)
+    expect(err.message).toBe("oops")
+  })
+})
+
+describe("PromiseAllError", () => {
+  it("is an AggregateError subclass", () => {
+    const err = new PromiseAllError("oops")
+    expect(err).toBeInstanceOf(AggregateError)
+    expect(err).toBeInstanceOf(Error)
+    expect(err.message).toBe("oops")
+    expect(err.errors).toEqual([])
+    expect(err.failures).toEqual([])
+  })
+
+  it("exposes errors and failures with input index and element", async () => {
+    const e1 = new Error("e1")
+    const e3 = new Error("e3")
+    const cb = (x) => (x === "a" ? Promise.reject(e1) : x === "c" ? Promise.reject(e3) : x)
+    let thrown
+    try {
+      await allSettled({ array: ["a", "b", "c"], limit: 2, throws: true }, cb)
+    } catch (e) {
+      thrown = e
+    }
+    expect(thrown).toBeInstanceOf(PromiseAllError)
+    expect(thrown.errors).toEqual([e1, e3])
+    expect(thrown.failures).toEqual([
+      { index: 0, element: "a", error: e1 },
+      { index: 2, element: "c", error: e3 },
+    ])
+  })
+
+  it("exposes failures in pool mode", async () => {
+    const cb = (x) => (x === 2 ? Promise.reject("fail") : x)
+    const promise = allSettled({ array: [1, 2, 3], limit: 2, throws: true, pool: true }, cb)
+    await expect(promise).rejects.toMatchObject({
+      failures: [{ index: 1, element: 2, error: "fail" }],
+    })
+  })
+
+  it("exposes failures from allPatiently with the promise as the element", async () => {
+    const rejected = Promise.reject("bad")
+    const promise = allPatiently([Promise.resolve(1), rejected])
+    await expect(promise).rejects.toMatchObject({
+      errors: ["bad"],
+      failures: [{ index: 1, element: rejected, error: "bad" }],
+    })
+  })
+
+  it("lists each failure with its cause chain in toString()", () => {
+    const root = new Error("root")
+    const middle = new Error("middle", { cause: root })
+    const failures = [
+      { index: 3, element: "x", error: new Error("top", { cause: middle }) },
+      { index: 7, element: "y", error: "string error" },
+    ]
+    const err = new PromiseAllError("top; string error", failures)
+    expect(err.toString()).toBe(
+      [
+        "PromiseAllError: top; string error",
+        "  [3] Error: top",
+        "    caused by: Error: middle",
+        "    caused by: Error: root",
+        "  [7] string error",
+      ].join("\n")
+    )
+  })
+
+  it("stops following a circular cause chain", () => {
+    const error = new Error("loop")
+    error.cause = error
+    const err = new PromiseAllError("loop", [{ index: 0, element: 1, error }])
+    expect(err.toString()).toBe("PromiseAllError: loop\n  [0] Error: loop")
+  })
+})
+
+describe("CircuitOpenError", () => {
+  it("is an Error subclass", () => {
+    const err = new CircuitOpenError("oops")
+    expect(err).toBeInstanceOf(Error)
+    expect(err).toBeInstanceOf(CircuitOpenError)
+    expect(err.message).toBe("oops")
+  })
+})
+
+describe("AlertError", () => {
+  it("is an AggregateError with errors and report", () => {
+    const report = { count: 1, groups: [] }
+    const error = new AlertError(["a"], "message", report)
+    expect(error).toBeInstanceOf(AggregateError)
+    expect(error.message).toBe("message")
+    expect(error.errors).toEqual(["a"])
+    expect(error.report).toBe(report)
+  })
+})
+
 describe("PollError", () => {
   it("is an Error subclass", () => {
     const err = new PollError("oops")
@@ -0,0 +1,139 @@
+import { now, timers } from "./time.js"
+
+// shared queueing for rate limiters
+// tryTake(n) either takes n tokens and returns 0 or returns the number of milliseconds until n tokens may be available
+// waiters are served in order so a large request is not starved by smaller ones behind it
+function createAcquirer(tryTake, max) {
+  const queue = []
+  let timeout
+  const drain = () => {
+    timers.clearTimeout(timeout)
+    timeout = undefined
+    while (queue.length) {
+      const waiter = queue[0]
+      const ms = tryTake(waiter.n)
+      if (ms > 0) {
+        timeout = timers.setTimeout(drain, ms)
+        return
+      }
+      queue.shift()
+      waiter.settle()
+    }
+  }
+  /** @type {(n?: number, options?: {signal?: AbortSignal}) => Promise<void>} */
+  const acquire = async (n = 1, { signal = undefined } = {}) => {
+    if (!(n >= 0) || !Number.isInteger(n) || n > max) {
+      throw new Error(`n must be a nonnegative integer no greater than ${max}`)
+    }
+    signal?.throwIfAborted()
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        queue.splice(queue.indexOf(waiter), 1)
+        reject(signal?.reason)
+        drain()
+      }
+      const waiter = {
+        n,
+        settle: () => {
+          signal?.removeEventListener("abort", onAbort)
+          resolve(undefined)
+        },
+      }
+      signal?.addEventListener("abort", onAbort, { once: true })
+      queue.push(waiter)
+      if (queue.length === 1) {
+        drain()
+      }
+    })
+  }
+  // allSettled() may report more elements than fit at once, so acquire in pieces
+  /** @type {(count: number, options?: {signal?: AbortSignal}) => Promise<void>} */
+  const limiter = async (count, { signal = undefined } = {}) => {
+    while (count > 0) {
+      const n = Math.min(count, max)
+      await acquire(n, { signal })
+      count -= n
+    }
+  }
+  return { acquire, limiter }
+}
+
+/**
+ * Creates a token bucket rate limiter. The bucket starts full and refills continuously.
+ * This allows bursts of up to "capacity" while limiting the long-run rate to "rate" per "interval".
+ * @param {Object} $1
+ * @param {number} $1.capacity The maximum number of tokens the bucket can hold; must be a positive integer
+ * @param {number} $1.rate The number of tokens added to the bucket every interval
+ * @param {number=} $1.interval The length of the interval in milliseconds. Default is one second.
+ * @returns {{
+ *  acquire: (n?: number, options?: {signal?: AbortSignal}) => Promise<void>,
+ *  limiter: (count: number, options?: {signal?: AbortSignal}) => Promise<void>
+ * }}
+ *  "acquire" waits until n (default 1) tokens are available and takes them; n cannot exceed capacity.
+ *  Waiters are served in the order acquire() was called. If "signal" is aborted, rejects with the signal's reason.
+ *  It can be passed as allSettled()'s "acquire" option to take a token before each call starts.
+ *  "limiter" can be passed as allSettled()'s "limiter" option; it takes a token for each element processed.
+ *  Since allSettled() calls "limiter" after a chunk or call settles, it does not hold back the first chunk or "limit" calls;
+ *  prefer "acquire" to never exceed the rate.
+ */
+export function tokenBucket({ capacity, rate, interval = 1000 }) {
+  if (!(capacity > 0) || !Number.isInteger(capacity)) {
+    throw new Error("capacity must be a positive integer")
+  }
+  if (!(rate > 0)) {
+    throw new Error("rate must be positive")
+  }
+  let tokens = capacity
+  let lastTimestamp = now().getTime()
+  const tryTake = (n) => {
+    const currentTimestamp = now().getTime()
+    tokens = Math.min(capacity, tokens + ((currentTimestamp - lastTimestamp) * rate) / interval)
+    lastTimestamp = currentTimestamp
+    if (tokens >= n) {
+      tokens -= n
+      return 0
+    }
+    return Math.ceil(((n - tokens) * interval) / rate)
+  }
+  return createAcquirer(tryTake, capacity)
+}
+
+/**
+ * Creates a sliding log rate limiter, which records when each token is taken.
+ * Unlike intervalLimiter(), no more than "limit" tokens are ever taken within any period of "interval" milliseconds.
+ * @param {Object} $1
+ * @param {number} $1.limit The maximum number of tokens taken in any interval; must be a positive integer
+ * @param {number=} $1.interval The length of the interval in milliseconds. Default is one minute.
+ * @returns {{
+ *  acquire: (n?: number, options?: {signal?: AbortSignal}) => Promise<void>,
+ *  limiter: (count: number, options?: {signal?: AbortSignal}) => Promise<void>
+ * }}
+ *  "acquire" waits until n (default 1) tokens can be taken without exceeding the limit; n cannot exceed limit.
+ *  Waiters are served in the order acquire() was called. If "signal" is aborted, rejects with the signal's reason.
+ *  It can be passed as allSettled()'s "acquire" option to take a token before each call starts.
+ *  "limiter" can be passed as allSettled()'s "limiter" option; it takes a token for each element processed.
+ *  Since allSettled() calls "limiter" after a chunk or call settles, it does not hold back the first chunk or "limit" calls;
+ *  prefer "acquire" to never exceed the rate.
+ */
+export function slidingLogLimiter({ limit, interval = 1000 * 60 }) {
+  if (!(limit > 0) || !Number.isInteger(limit)) {
+    throw new Error("limit must be a positive integer")
+  }
+  // timestamps of taken tokens, oldest first
+  const log = []
+  const tryTake = (n) => {
+    const currentTimestamp = now().getTime()
+    while (log.length && log[0] <= currentTimestamp - interval) {
+      log.shift()
+    }
+    if (log.length + n <= limit) {
+      for (let i = 0; i < n; i++) {
+        log.push(currentTimestamp)
+      }
+      return 0
+    }
+    // wait until enough of the oldest tokens leave the window
+    return log[log.length + n - limit - 1] + interval - currentTimestamp
+  }
+  return createAcquirer(tryTake, limit)
+}
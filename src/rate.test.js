@@ -0,0 +1,201 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import { allSettled } from "./promise.js"
+import { slidingLogLimiter, tokenBucket } from "./rate.js"
+import { createVirtualClock } from "./time.js"
+
+// Exported API under test:
+// - functions: tokenBucket, slidingLogLimiter
+
+let clock
+beforeEach(() => {
+  clock = createVirtualClock({ start: 0 })
+  clock.install()
+})
+afterEach(() => clock.uninstall())
+
+// virtual milliseconds since the test started
+const elapsed = () => clock.now().getTime()
+
+// runs allSettled() and returns when each call started, relative to the start of the run
+const startTimes = async (options) => {
+  const start = elapsed()
+  const starts = []
+  const promise = allSettled(options, () => starts.push(elapsed() - start))
+  await clock.runAll()
+  await promise
+  return starts
+}
+
+describe("tokenBucket", () => {
+  it("allows a burst of up to capacity without waiting", async () => {
+    const { acquire } = tokenBucket({ capacity: 3, rate: 1, interval: 1000 })
+    await acquire()
+    await acquire(2)
+    expect(elapsed()).toBe(0)
+  })
+
+  it("waits for tokens to refill once empty", async () => {
+    const { acquire } = tokenBucket({ capacity: 2, rate: 1, interval: 20 })
+    await acquire(2)
+    const done = vi.fn()
+    acquire().then(done)
+    await clock.advance(19)
+    expect(done).not.toHaveBeenCalled()
+    await clock.advance(1)
+    expect(done).toHaveBeenCalled()
+  })
+
+  it("serves waiters in order", async () => {
+    const { acquire } = tokenBucket({ capacity: 2, rate: 2, interval: 10 })
+    await acquire(2)
+    const order = []
+    const promise = Promise.all([
+      acquire(2).then(() => order.push("big")),
+      acquire(1).then(() => order.push("small")),
+    ])
+    await clock.runAll()
+    await promise
+    expect(order).toEqual(["big", "small"])
+  })
+
+  it("does not accumulate more than capacity tokens", async () => {
+    const { acquire } = tokenBucket({ capacity: 2, rate: 1, interval: 5 })
+    await clock.advance(20)
+    await acquire(2)
+    const done = vi.fn()
+    acquire().then(done)
+    await clock.advance(4)
+    expect(done).not.toHaveBeenCalled()
+    await clock.advance(1)
+    expect(done).toHaveBeenCalled()
+  })
+
+  it("rejects if n is greater than capacity or invalid", async () => {
+    const { acquire } = tokenBucket({ capacity: 2, rate: 1 })
+    const message = "n must be a nonnegative integer no greater than 2"
+    await expect(acquire(3)).rejects.toThrow(message)
+    await expect(acquire(-1)).rejects.toThrow(message)
+    await expect(acquire(1.5)).rejects.toThrow(message)
+  })
+
+  it("throws if capacity or rate is invalid", () => {
+    const message = "capacity must be a positive integer"
+    expect(() => tokenBucket({ capacity: 0, rate: 1 })).toThrow(message)
+    expect(() => tokenBucket({ capacity: 1, rate: 0 })).toThrow("rate must be positive")
+  })
+
+  it("rejects with the signal's reason and lets later waiters proceed when aborted", async () => {
+    const { acquire } = tokenBucket({ capacity: 2, rate: 1, interval: 10 })
+    await acquire(2)
+    const controller = new AbortController()
+    const aborted = acquire(2, { signal: controller.signal })
+    const next = vi.fn()
+    const later = acquire(1).then(next)
+    controller.abort("reason")
+    await expect(aborted).rejects.toBe("reason")
+    await clock.advance(10)
+    await later
+    expect(next).toHaveBeenCalled()
+  })
+
+  it("rejects if signal is already aborted", async () => {
+    const { acquire } = tokenBucket({ capacity: 1, rate: 1 })
+    await expect(acquire(1, { signal: AbortSignal.abort("reason") })).rejects.toBe("reason")
+  })
+
+  it("acquire holds back each call of allSettled, including the first chunk", async () => {
+    const { acquire } = tokenBucket({ capacity: 2, rate: 2, interval: 1000 })
+    const starts = await startTimes({ array: [1, 2, 3, 4, 5, 6], limit: 2, acquire })
+    expect(starts).toEqual([0, 0, 500, 1000, 1500, 2000])
+  })
+
+  it("acquire holds back each call of allSettled in pool mode", async () => {
+    const { acquire } = tokenBucket({ capacity: 2, rate: 2, interval: 1000 })
+    const starts = await startTimes({ array: [1, 2, 3, 4], limit: 4, pool: true, acquire })
+    expect(starts).toEqual([0, 0, 500, 1000])
+  })
+
+  it("limiter takes a token for each element, even more than capacity", async () => {
+    const { limiter } = tokenBucket({ capacity: 2, rate: 1, interval: 5 })
+    const done = vi.fn()
+    limiter(4).then(done)
+    await clock.advance(9)
+    expect(done).not.toHaveBeenCalled()
+    await clock.advance(1)
+    expect(done).toHaveBeenCalled()
+  })
+
+  it("limiter holds back allSettled only after the first chunk", async () => {
+    const { limiter } = tokenBucket({ capacity: 2, rate: 2, interval: 1000 })
+    const starts = await startTimes({ array: [1, 2, 3, 4, 5, 6], limit: 2, limiter })
+    expect(starts).toEqual([0, 0, 0, 0, 1000, 1000])
+  })
+})
+
+describe("slidingLogLimiter", () => {
+  it("allows up to limit without waiting", async () => {
+    const { acquire } = slidingLogLimiter({ limit: 3, interval: 1000 })
+    await acquire()
+    await acquire(2)
+    expect(elapsed()).toBe(0)
+  })
+
+  it("waits until the oldest tokens leave the window", async () => {
+    const { acquire } = slidingLogLimiter({ limit: 2, interval: 20 })
+    await acquire()
+    await clock.advance(10)
+    await acquire()
+    const done = vi.fn()
+    acquire().then(done)
+    // only the first token needs to leave the window
+    await clock.advance(9)
+    expect(done).not.toHaveBeenCalled()
+    await clock.advance(1)
+    expect(done).toHaveBeenCalled()
+  })
+
+  it("never takes more than limit tokens in any interval", async () => {
+    const { acquire } = slidingLogLimiter({ limit: 3, interval: 20 })
+    const timestamps = []
+    const promise = Promise.all(
+      Array.from({ length: 7 }, () => acquire().then(() => timestamps.push(elapsed())))
+    )
+    await clock.runAll()
+    await promise
+    expect(timestamps).toEqual([0, 0, 0, 20, 20, 20, 40])
+  })
+
+  it("rejects if n is greater than limit", async () => {
+    const { acquire } = slidingLogLimiter({ limit: 2 })
+    await expect(acquire(3)).rejects.toThrow("n must be a nonnegative integer no greater than 2")
+  })
+
+  it("throws if limit is invalid", () => {
+    expect(() => slidingLogLimiter({ limit: 0 })).toThrow("limit must be a positive integer")
+  })
+
+  it("rejects with the signal's reason when aborted", async () => {
+    const { acquire } = slidingLogLimiter({ limit: 1, interval: 1000 })
+    await acquire()
+    const controller = new AbortController()
+    const promise = acquire(1, { signal: controller.signal })
+    controller.abort("reason")
+    await expect(promise).rejects.toBe("reason")
+  })
+
+  it("acquire never lets allSettled start more than limit calls in any interval", async () => {
+    const { acquire } = slidingLogLimiter({ limit: 2, interval: 1000 })
+    const array = [1, 2, 3, 4, 5, 6]
+    const expected = [0, 0, 1000, 1000, 2000, 2000]
+    expect(await startTimes({ array, limit: 2, acquire })).toEqual(expected)
+    const pooled = slidingLogLimiter({ limit: 2, interval: 1000 })
+    const options = { array, limit: 2, pool: true, acquire: pooled.acquire }
+    expect(await startTimes(options)).toEqual(expected)
+  })
+
+  it("limiter holds back allSettled in pool mode only after the first calls", async () => {
+    const { limiter } = slidingLogLimiter({ limit: 2, interval: 1000 })
+    const options = { array: [1, 2, 3, 4, 5, 6], limit: 2, pool: true, limiter }
+    expect(await startTimes(options)).toEqual([0, 0, 0, 0, 1000, 1000])
+  })
+})
@@ -26,6 +26,174 @@ export function setNow(callback = undefined) {
   now = callback
 }
 
+const systemTimers = {
+  // look up globals when called so that they can still be mocked
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (id) => clearTimeout(id),
+}
+
+/**
+ * Functions used to schedule callbacks by sleep(), poll(), intervalLimiter() and the other timing helpers.
+ * By default, these are the global setTimeout() and clearTimeout().
+ * @type {{setTimeout: (callback: () => void, ms: number) => any, clearTimeout: (id: any) => void}}
+ */
+export let timers = systemTimers
+
+/**
+ * Set the functions used to schedule callbacks by the timing helpers; see "timers".
+ * Usually it is easier to install a virtual clock via createVirtualClock(), which calls this and setNow().
+ * If value is undefined, sets (resets) timers to be the global setTimeout() and clearTimeout(), as it is originally.
+ * @param {{setTimeout: (callback: () => void, ms: number) => any, clearTimeout: (id: any) => void}=} value
+ */
+export function setTimers(value = undefined) {
+  if (value === undefined) {
+    timers = systemTimers
+    return
+  }
+  if (typeof value?.setTimeout !== "function" || typeof value?.clearTimeout !== "function") {
+    throw new Error("timers must have setTimeout and clearTimeout functions")
+  }
+  timers = value
+}
+
+// lets pending promise callbacks run so that they can schedule timers
+function flushPromises() {
+  const defer = globalThis.setImmediate ?? setTimeout
+  return new Promise((resolve) => defer(resolve))
+}
+
+/**
+ * Creates a virtual clock that can be installed to control now() and the timers used by the timing helpers, such as sleep() and poll().
+ * Timers scheduled on the clock fire in order of their due time and then order of scheduling.
+ * @param {Object} $1
+ * @param {"freeze"|"offset"|"speed"=} $1.mode How virtual time moves on its own. Default is "freeze".
+ *  - "freeze": Time does not move except by advance() or runAll().
+ *  - "offset": Time is system time plus "offset" milliseconds.
+ *  - "speed": Time moves "speed" times as fast as system time.
+ *  In "offset" and "speed" modes, timers also fire on their own once virtual time reaches them.
+ * @param {Date|number=} $1.start The initial time for "freeze" and "speed" modes. Default is the current system time.
+ * @param {number=} $1.offset Milliseconds added to system time in "offset" mode. Default is 0.
+ * @param {number=} $1.speed Multiplier for how fast time moves in "speed" mode; must be positive. Default is 1.
+ * @returns {{
+ *  now: () => Date,
+ *  setTimeout: (callback: () => void, ms: number) => number,
+ *  clearTimeout: (id: number) => void,
+ *  advance: (ms: number) => Promise<void>,
+ *  runAll: (options?: {limit?: number}) => Promise<void>,
+ *  install: () => void,
+ *  uninstall: () => void,
+ * }}
+ *  "advance" moves time forward, firing due timers in order and letting promise callbacks run before and after each one.
+ *  "runAll" advances to each remaining timer until there are none; throws if more than "limit" (default 1000) fire.
+ *  "install" makes now() and the timing helpers use the clock; "uninstall" restores system time and timers.
+ */
+export function createVirtualClock({
+  mode = "freeze",
+  start = undefined,
+  offset = 0,
+  speed = 1,
+} = {}) {
+  if (mode !== "freeze" && mode !== "offset" && mode !== "speed") {
+    throw new Error(`unknown mode: ${mode}`)
+  }
+  if (!(speed > 0)) {
+    throw new Error("speed must be positive")
+  }
+  const systemBase = Date.now()
+  const startTimestamp = start === undefined ? systemBase : new Date(start).getTime()
+  const base = mode === "offset" ? systemBase + offset : startTimestamp
+  // how many virtual milliseconds pass per system millisecond
+  const rate = mode === "freeze" ? 0 : mode === "speed" ? speed : 1
+  // virtual milliseconds added by advance()
+  let advanced = 0
+  let nextId = 1
+  // id to { id, callback, due }
+  const pending = new Map()
+  let systemTimeout
+
+  const current = () => base + (Date.now() - systemBase) * rate + advanced
+  const moveTo = (timestamp) => {
+    advanced += Math.max(0, timestamp - current())
+  }
+  const getNextTimer = () => {
+    let next
+    for (const timer of pending.values()) {
+      if (!next || timer.due < next.due) {
+        next = timer
+      }
+    }
+    return next
+  }
+  // in modes where time moves on its own, schedules a system timer for the next virtual timer
+  const schedule = () => {
+    if (!rate) {
+      return
+    }
+    clearTimeout(systemTimeout)
+    const next = getNextTimer()
+    if (next) {
+      systemTimeout = setTimeout(fireDue, Math.max(0, (next.due - current()) / rate))
+    }
+  }
+  const fireDue = () => {
+    let next = getNextTimer()
+    while (next && next.due <= current()) {
+      pending.delete(next.id)
+      next.callback()
+      next = getNextTimer()
+    }
+    schedule()
+  }
+
+  const clock = {
+    now: () => new Date(current()),
+    setTimeout: (callback, ms) => {
+      const id = nextId++
+      pending.set(id, { id, callback, due: current() + Math.max(0, ms || 0) })
+      schedule()
+      return id
+    },
+    clearTimeout: (id) => {
+      pending.delete(id)
+      schedule()
+    },
+    advance: async (ms) => {
+      const target = current() + ms
+      await flushPromises()
+      let next = getNextTimer()
+      while (next && next.due <= target) {
+        moveTo(next.due)
+        pending.delete(next.id)
+        next.callback()
+        await flushPromises()
+        next = getNextTimer()
+      }
+      moveTo(target)
+      schedule()
+    },
+    runAll: async ({ limit = 1000 } = {}) => {
+      await flushPromises()
+      for (let count = 0; pending.size; count++) {
+        if (count >= limit) {
+          throw new Error(`more than ${limit} timers fired`)
+        }
+        const next = getNextTimer()
+        await clock.advance(Math.max(0, next.due - current()))
+      }
+    },
+    install: () => {
+      setNow(clock.now)
+      setTimers(clock)
+    },
+    uninstall: () => {
+      clearTimeout(systemTimeout)
+      setNow()
+      setTimers()
+    },
+  }
+  return clock
+}
+
 /**
  * Gets various ways of representing the current time in EDT. Floors to nearest second by default.
  * @param {Object} $1
@@ -1,8 +1,10 @@
-import { afterEach, describe, expect, test } from "vitest"
+import { afterEach, describe, expect, test, vi } from "vitest"
+import { poll, sleep } from "./promise.js"
 import {
   addDays,
   addTime,
   convertToSeconds,
+  createVirtualClock,
   getDateRange,
   getDayIndexInWeek,
   getEasternTime,
@@ -18,11 +20,13 @@ import {
   isUnixTimestamp,
   now,
   setNow,
+  setTimers,
+  timers,
   today,
 } from "./time.js"
 
 // Exported functions and variables:
-// now, setNow, getEasternTime, getLocalTime, getUnixTimestamp, today, getDayIndexInWeek, getMinute,
+// now, setNow, timers, setTimers, createVirtualClock, getEasternTime, getLocalTime, getUnixTimestamp, today, getDayIndexInWeek, getMinute,
 // isDateString, isTimeString, isDateTimeString, isUTCString, isUnixTimestamp,
 // addTime, getTimeRange, addDays, getDateRange, getStartOfWeek, convertToSeconds
 
@@ -55,6 +59,132 @@ describe("now/setNow", () => {
   })
 })
 
+describe("timers/setTimers", () => {
+  afterEach(() => {
+    setTimers()
+  })
+
+  test("defaults to global setTimeout and clearTimeout", async () => {
+    const callback = vi.fn()
+    const id = timers.setTimeout(callback, 1)
+    timers.clearTimeout(id)
+    await new Promise((resolve) => timers.setTimeout(resolve, 2))
+    expect(callback).not.toHaveBeenCalled()
+  })
+
+  test("setTimers replaces the timers used by timing helpers", async () => {
+    const custom = { setTimeout: vi.fn((callback) => callback()), clearTimeout: vi.fn() }
+    setTimers(custom)
+    expect(timers).toBe(custom)
+    await sleep(1000)
+    expect(custom.setTimeout).toHaveBeenCalledWith(expect.any(Function), 1000)
+  })
+
+  test("setTimers validates its argument", () => {
+    const message = "timers must have setTimeout and clearTimeout functions"
+    expect(() => setTimers(null)).toThrow(message)
+    expect(() => setTimers({ setTimeout: () => {} })).toThrow(message)
+  })
+})
+
+describe("createVirtualClock", () => {
+  const start = new Date("2024-03-01T12:00:00Z")
+
+  afterEach(() => {
+    setNow()
+    setTimers()
+  })
+
+  test("freezes time at start until advanced", async () => {
+    const clock = createVirtualClock({ start })
+    expect(clock.now()).toEqual(start)
+    await sleep(2)
+    expect(clock.now()).toEqual(start)
+    await clock.advance(1500)
+    expect(clock.now()).toEqual(new Date("2024-03-01T12:00:01.500Z"))
+  })
+
+  test("fires timers in order of due time as time advances", async () => {
+    const clock = createVirtualClock({ start })
+    const fired = []
+    clock.setTimeout(() => fired.push("b"), 20)
+    clock.setTimeout(() => fired.push("a"), 10)
+    const cleared = clock.setTimeout(() => fired.push("cleared"), 5)
+    clock.clearTimeout(cleared)
+    await clock.advance(15)
+    expect(fired).toEqual(["a"])
+    await clock.advance(5)
+    expect(fired).toEqual(["a", "b"])
+  })
+
+  test("install makes now(), sleep() and poll() follow virtual time", async () => {
+    const clock = createVirtualClock({ start })
+    clock.install()
+    expect(now()).toEqual(start)
+    expect(getEasternTime({ timeZone: "UTC" }).time).toBe("12:00:00")
+    const callback = vi.fn().mockReturnValueOnce(null).mockReturnValue("done")
+    const promise = poll({ ms: 60 * 1000 }, callback)
+    await clock.advance(59 * 1000)
+    expect(callback).toHaveBeenCalledTimes(1)
+    await clock.advance(1000)
+    await expect(promise).resolves.toBe("done")
+    expect(callback).toHaveBeenCalledTimes(2)
+    expect(now()).toEqual(new Date("2024-03-01T12:01:00Z"))
+  })
+
+  test("runAll fires every pending timer including ones scheduled by callbacks", async () => {
+    const clock = createVirtualClock({ start })
+    clock.install()
+    const promise = (async () => {
+      await sleep(1000)
+      await sleep(2000)
+      return now()
+    })()
+    await clock.runAll()
+    await expect(promise).resolves.toEqual(new Date("2024-03-01T12:00:03Z"))
+  })
+
+  test("runAll throws if timers keep being scheduled", async () => {
+    const clock = createVirtualClock({ start })
+    clock.install()
+    poll({ ms: 1000 }, () => null)
+    await expect(clock.runAll({ limit: 5 })).rejects.toThrow("more than 5 timers fired")
+  })
+
+  test("uninstall restores system time and timers", () => {
+    const clock = createVirtualClock({ start: 0 })
+    clock.install()
+    clock.uninstall()
+    expect(Math.abs(now().getTime() - Date.now())).toBeLessThan(1000)
+    expect(timers).not.toBe(clock)
+  })
+
+  test("offset mode adds offset to system time and fires timers on its own", async () => {
+    const clock = createVirtualClock({ mode: "offset", offset: 60 * 60 * 1000 })
+    expect(clock.now().getTime() - Date.now()).toBeGreaterThanOrEqual(60 * 60 * 1000 - 5)
+    const callback = vi.fn()
+    clock.setTimeout(callback, 5)
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    expect(callback).toHaveBeenCalled()
+    clock.uninstall()
+  })
+
+  test("speed mode moves time faster than system time", async () => {
+    const clock = createVirtualClock({ mode: "speed", speed: 1000, start })
+    const callback = vi.fn()
+    clock.setTimeout(callback, 10 * 1000)
+    await new Promise((resolve) => setTimeout(resolve, 30))
+    expect(callback).toHaveBeenCalled()
+    expect(clock.now().getTime() - start.getTime()).toBeGreaterThanOrEqual(10 * 1000)
+    clock.uninstall()
+  })
+
+  test("validates mode and speed", () => {
+    expect(() => createVirtualClock({ mode: "rewind" })).toThrow("unknown mode: rewind")
+    expect(() => createVirtualClock({ mode: "speed", speed: 0 })).toThrow("speed must be positive")
+  })
+})
+
 describe("getEasternTime", () => {
   test("returns correct structure and types", () => {
     const result = getEasternTime()
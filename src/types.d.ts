@@ -21,5 +21,34 @@ declare global {
      * A valid argument for ordering comparison operators: <, >, <=, >=
      */
     type Comparable = number | string | bigint | boolean | Date
+
+    /**
+     * Statistics passed to allSettled()'s "onProgress" option.
+     */
+    type Progress = {
+      started: number
+      fulfilled: number
+      rejected: number
+      settled: number
+      total: number | undefined
+      done: boolean
+      elapsed: number
+      throughput: number
+      eta: number | undefined
+    }
+
+    /**
+     * A summary of errors returned by formatErrors() and carried by the AlertError thrown from alert().
+     * Each group has errors with the same message and chain of causes, in order of first occurrence.
+     */
+    type ErrorReport = {
+      count: number
+      groups: Array<{
+        message: string
+        causes: string[]
+        count: number
+        stack: string | undefined
+      }>
+    }
   }
 }